@@ -0,0 +1,47 @@
+// Data-access layer: picks a storage driver and exposes its repositories.
+//
+// DB_DRIVER=postgres uses PostgreSQL (DATABASE_URL), DB_DRIVER=memory uses the
+// in-memory arrays in data/users.js and data/posts.js. When DB_DRIVER is not
+// set, PostgreSQL is used only if DATABASE_URL is configured.
+const driverName = process.env.DB_DRIVER || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+
+const loadDriver = (name) => {
+  switch (name) {
+    case 'postgres':
+      return require('./postgres');
+    case 'memory':
+      return require('./memory');
+    default:
+      throw new Error(`Unknown DB_DRIVER "${name}" (expected "postgres" or "memory")`);
+  }
+};
+
+const driver = loadDriver(driverName);
+
+// Connect to the database and apply pending migrations
+const connectDatabase = async () => {
+  try {
+    await driver.connect();
+    console.log(`✅ Database connected (${driverName} driver)`);
+  } catch (error) {
+    console.error('❌ Database connection error:', error);
+    throw error;
+  }
+};
+
+// Close database connections
+const disconnectDatabase = async () => {
+  try {
+    await driver.disconnect();
+    console.log('✅ Database disconnected');
+  } catch (error) {
+    console.error('❌ Database disconnection error:', error);
+  }
+};
+
+module.exports = {
+  driver: driverName,
+  connectDatabase,
+  disconnectDatabase,
+  ...driver.repositories
+};
@@ -0,0 +1,31 @@
+const entries = []; // { id, actorId, action, targetType, targetId, details, timestamp }
+
+// Append an audit entry
+const create = async ({ actorId, action, targetType, targetId, details }) => {
+  const entry = {
+    id: entries.length + 1,
+    actorId,
+    action,
+    targetType,
+    targetId: targetId === undefined || targetId === null ? null : String(targetId),
+    details: details || {},
+    timestamp: new Date()
+  };
+
+  entries.push(entry);
+  return { ...entry };
+};
+
+// List entries newest first, optionally only those older than beforeId
+const list = async ({ limit, beforeId } = {}) => {
+  return entries
+    .filter(entry => !beforeId || entry.id < beforeId)
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limit)
+    .map(entry => ({ ...entry }));
+};
+
+module.exports = {
+  create,
+  list
+};
@@ -0,0 +1,129 @@
+const posts = require('../posts');
+
+// Comments live on their post. Replies carry the ID of the comment they
+// answer (parentId) and of the top-level comment of their thread (rootId).
+const toComment = (postId, comment) => ({
+  ...comment,
+  postId,
+  parentId: comment.parentId || null,
+  rootId: comment.rootId || null,
+  editedAt: comment.editedAt || null
+});
+
+const commentsOf = (postId) => {
+  const post = posts.find(p => p.id === postId);
+  return post ? post.comments || [] : null;
+};
+
+// Oldest first, ties broken by ID so the order is stable for cursors
+const oldestFirst = (a, b) => (new Date(a.timestamp) - new Date(b.timestamp)) || (a.id - b.id);
+
+// Add a comment to a post, returns null when the post does not exist, is
+// unpublished or is in the trash.
+// parentId must be a comment on the same post (checked by the caller).
+const create = async (postId, { userId, text, parentId }) => {
+  const post = posts.find(p => p.id === postId && !p.deletedAt && (!p.status || p.status === 'published'));
+  if (!post) {
+    return null;
+  }
+
+  if (!post.comments) {
+    post.comments = [];
+  }
+
+  const parent = parentId ? post.comments.find(c => c.id === parentId) : null;
+  const comment = {
+    id: post.comments.length > 0 ? Math.max(...post.comments.map(c => c.id)) + 1 : 1,
+    userId,
+    text,
+    parentId: parent ? parent.id : null,
+    rootId: parent ? parent.rootId || parent.id : null,
+    timestamp: new Date(),
+    editedAt: null
+  };
+
+  post.comments.push(comment);
+  return toComment(postId, comment);
+};
+
+// Find a comment on a post
+const findById = async (postId, commentId) => {
+  const comment = (commentsOf(postId) || []).find(c => c.id === commentId);
+  return comment ? toComment(postId, comment) : null;
+};
+
+// Change a comment's text, returns null when it does not exist
+const update = async (postId, commentId, { text }) => {
+  const comment = (commentsOf(postId) || []).find(c => c.id === commentId);
+  if (!comment) {
+    return null;
+  }
+
+  comment.text = text;
+  comment.editedAt = new Date();
+  return toComment(postId, comment);
+};
+
+// Page through a post's top-level comments oldest first. after is the
+// { timestamp, id } of the last comment on the previous page.
+const listPage = async (postId, { limit, after } = {}) => {
+  return (commentsOf(postId) || [])
+    .filter(c => !c.parentId)
+    .filter(c => {
+      if (!after) {
+        return true;
+      }
+      const time = new Date(c.timestamp).getTime();
+      const afterTime = new Date(after.timestamp).getTime();
+      return time > afterTime || (time === afterTime && c.id > after.id);
+    })
+    .sort(oldestFirst)
+    .slice(0, limit)
+    .map(c => toComment(postId, c));
+};
+
+// All replies in the threads started by some top-level comments, oldest first
+const listReplies = async (postId, rootIds) => {
+  return (commentsOf(postId) || [])
+    .filter(c => c.rootId && rootIds.includes(c.rootId))
+    .sort(oldestFirst)
+    .map(c => toComment(postId, c));
+};
+
+// Delete a comment and the replies below it, returns the IDs of the deleted
+// comments (empty when it did not exist)
+const remove = async (postId, commentId) => {
+  const comments = commentsOf(postId);
+  if (!comments || !comments.some(c => c.id === commentId)) {
+    return [];
+  }
+
+  // Collect the comment and everything that (indirectly) answers it
+  const doomed = new Set([commentId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    comments.forEach(c => {
+      if (c.parentId && doomed.has(c.parentId) && !doomed.has(c.id)) {
+        doomed.add(c.id);
+        grew = true;
+      }
+    });
+  }
+
+  for (let i = comments.length - 1; i >= 0; i--) {
+    if (doomed.has(comments[i].id)) {
+      comments.splice(i, 1);
+    }
+  }
+  return [...doomed];
+};
+
+module.exports = {
+  create,
+  findById,
+  update,
+  listPage,
+  listReplies,
+  remove
+};
@@ -0,0 +1,73 @@
+const seedUsers = require('../users');
+const seedPosts = require('../posts');
+
+const entries = []; // { userId, postId, authorId, createdAt }
+
+// Start every seed user's timeline with their own and their followees' posts
+seedUsers.forEach(user => {
+  const authorIds = [user.id, ...(user.following || [])];
+  seedPosts
+    .filter(post => authorIds.includes(post.userId))
+    .forEach(post => entries.push({
+      userId: user.id,
+      postId: post.id,
+      authorId: post.userId,
+      createdAt: new Date(post.timestamp)
+    }));
+});
+
+// Add timeline entries, skipping any (userId, postId) already present
+const addMany = async (newEntries) => {
+  newEntries.forEach(entry => {
+    const exists = entries.some(e => e.userId === entry.userId && e.postId === entry.postId);
+    if (!exists) {
+      entries.push({ ...entry, createdAt: new Date(entry.createdAt) });
+    }
+  });
+};
+
+// Page through a user's timeline newest first. before is the
+// { createdAt, postId } of the last entry on the previous page; notAfter
+// ignores entries newer than a snapshot time.
+const list = async (userId, { limit, before, notAfter } = {}) => {
+  return entries
+    .filter(e => e.userId === userId)
+    .filter(e => !notAfter || e.createdAt <= notAfter)
+    .filter(e => !before ||
+      e.createdAt < before.createdAt ||
+      (e.createdAt.getTime() === before.createdAt.getTime() && e.postId < before.postId))
+    .sort((a, b) => (b.createdAt - a.createdAt) || (b.postId - a.postId))
+    .slice(0, limit)
+    .map(e => ({ ...e }));
+};
+
+// Count the entries in a user's timeline
+const count = async (userId) => {
+  return entries.filter(e => e.userId === userId).length;
+};
+
+// Drop an author's posts from a user's timeline (after an unfollow)
+const removeByAuthor = async (userId, authorId) => {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].userId === userId && entries[i].authorId === authorId) {
+      entries.splice(i, 1);
+    }
+  }
+};
+
+// Drop a post from every timeline (after it is deleted)
+const removeByPost = async (postId) => {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].postId === postId) {
+      entries.splice(i, 1);
+    }
+  }
+};
+
+module.exports = {
+  addMany,
+  list,
+  count,
+  removeByAuthor,
+  removeByPost
+};
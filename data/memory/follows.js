@@ -0,0 +1,135 @@
+const users = require('../users');
+
+// When each follow happened ("followerId:followeeId" -> Date). Follows from the
+// seed data count as made when the process started.
+const followedAt = new Map();
+const edgeKey = (followerId, followeeId) => `${followerId}:${followeeId}`;
+const startedAt = new Date();
+const getFollowedAt = (followerId, followeeId) => followedAt.get(edgeKey(followerId, followeeId)) || startedAt;
+
+const findUser = (id) => {
+  const user = users.find(u => u.id === id);
+  if (user) {
+    if (!user.followers) user.followers = [];
+    if (!user.following) user.following = [];
+  }
+  return user;
+};
+
+// IDs of the users someone follows
+const getFollowingIds = async (userId) => {
+  const user = findUser(userId);
+  return user ? [...user.following] : [];
+};
+
+// IDs of the users following someone
+const getFollowerIds = async (userId) => {
+  const user = findUser(userId);
+  return user ? [...user.followers] : [];
+};
+
+// Check whether followerId follows followeeId
+const isFollowing = async (followerId, followeeId) => {
+  const user = findUser(followerId);
+  return Boolean(user && user.following.includes(followeeId));
+};
+
+// Record a follow (no-op when it already exists)
+const follow = async (followerId, followeeId) => {
+  const follower = findUser(followerId);
+  const followee = findUser(followeeId);
+  if (!follower || !followee) {
+    return;
+  }
+
+  if (!follower.following.includes(followeeId)) {
+    follower.following.push(followeeId);
+    followedAt.set(edgeKey(followerId, followeeId), new Date());
+  }
+  if (!followee.followers.includes(followerId)) {
+    followee.followers.push(followerId);
+  }
+};
+
+// Remove a follow (no-op when it does not exist)
+const unfollow = async (followerId, followeeId) => {
+  const follower = findUser(followerId);
+  const followee = findUser(followeeId);
+
+  if (follower) {
+    follower.following = follower.following.filter(id => id !== followeeId);
+  }
+  if (followee) {
+    followee.followers = followee.followers.filter(id => id !== followerId);
+  }
+  followedAt.delete(edgeKey(followerId, followeeId));
+};
+
+// Count a user's followers
+const countFollowers = async (userId) => {
+  const user = findUser(userId);
+  return user ? user.followers.length : 0;
+};
+
+// Count the users someone follows
+const countFollowing = async (userId) => {
+  const user = findUser(userId);
+  return user ? user.following.length : 0;
+};
+
+// Sort edges newest first and keep those after the cursor position
+const pageEdges = (edges, { limit, before }) => {
+  return edges
+    .sort((a, b) => (b.followedAt - a.followedAt) || (b.userId - a.userId))
+    .filter(edge => !before ||
+      edge.followedAt < before.followedAt ||
+      (edge.followedAt.getTime() === before.followedAt.getTime() && edge.userId < before.userId))
+    .slice(0, limit);
+};
+
+// Page through a user's followers, most recent first.
+// Returns [{ userId, followedAt }]; before is the last edge of the previous page.
+const listFollowers = async (userId, { limit, before } = {}) => {
+  const user = findUser(userId);
+  const edges = (user ? user.followers : []).map(followerId => ({
+    userId: followerId,
+    followedAt: getFollowedAt(followerId, userId)
+  }));
+  return pageEdges(edges, { limit, before });
+};
+
+// Page through the users someone follows, most recent first
+const listFollowing = async (userId, { limit, before } = {}) => {
+  const user = findUser(userId);
+  const edges = (user ? user.following : []).map(followeeId => ({
+    userId: followeeId,
+    followedAt: getFollowedAt(userId, followeeId)
+  }));
+  return pageEdges(edges, { limit, before });
+};
+
+// Which of the given users does followerId follow
+const filterFollowedBy = async (followerId, userIds) => {
+  const user = findUser(followerId);
+  return user ? userIds.filter(id => user.following.includes(id)) : [];
+};
+
+// Which of the given users follow followeeId
+const filterFollowersOf = async (followeeId, userIds) => {
+  const user = findUser(followeeId);
+  return user ? userIds.filter(id => user.followers.includes(id)) : [];
+};
+
+module.exports = {
+  getFollowingIds,
+  getFollowerIds,
+  isFollowing,
+  follow,
+  unfollow,
+  countFollowers,
+  countFollowing,
+  listFollowers,
+  listFollowing,
+  filterFollowedBy,
+  filterFollowersOf
+};
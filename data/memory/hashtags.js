@@ -0,0 +1,58 @@
+const posts = require('../posts');
+
+const usages = []; // { postId, tag, createdAt }
+
+// Only published posts outside the trash count
+const isLivePost = (postId) => posts.some(p => p.id === postId && !p.deletedAt && (!p.status || p.status === 'published'));
+
+// Replace the tags recorded for a post; createdAt is the post's timestamp
+const setForPost = async (postId, tags, createdAt) => {
+  for (let i = usages.length - 1; i >= 0; i--) {
+    if (usages[i].postId === postId) {
+      usages.splice(i, 1);
+    }
+  }
+  tags.forEach(tag => usages.push({ postId, tag, createdAt: new Date(createdAt) }));
+};
+
+// Page through the posts using a tag, newest first, as { postId, timestamp }
+// entries of the tag index. before is the { timestamp, id } of the last entry
+// on the previous page.
+const listEntries = async (tag, { limit, before } = {}) => {
+  return usages
+    .filter(u => u.tag === tag && isLivePost(u.postId))
+    .filter(u => !before ||
+      u.createdAt < before.timestamp ||
+      (u.createdAt.getTime() === before.timestamp.getTime() && u.postId < before.id))
+    .sort((a, b) => (b.createdAt - a.createdAt) || (b.postId - a.postId))
+    .slice(0, limit)
+    .map(u => ({ postId: u.postId, timestamp: u.createdAt }));
+};
+
+// The most used tags among posts created since a time, as
+// { tag, posts, authors, lastUsedAt }, most posts first
+const trending = async ({ since, limit }) => {
+  const byTag = new Map();
+  usages
+    .filter(u => u.createdAt >= since && isLivePost(u.postId))
+    .forEach(u => {
+      const entry = byTag.get(u.tag) || { tag: u.tag, posts: 0, authors: new Set(), lastUsedAt: u.createdAt };
+      entry.posts += 1;
+      entry.authors.add(posts.find(p => p.id === u.postId).userId);
+      if (u.createdAt > entry.lastUsedAt) {
+        entry.lastUsedAt = u.createdAt;
+      }
+      byTag.set(u.tag, entry);
+    });
+
+  return [...byTag.values()]
+    .map(entry => ({ ...entry, authors: entry.authors.size }))
+    .sort((a, b) => (b.posts - a.posts) || (b.lastUsedAt - a.lastUsedAt) || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+};
+
+module.exports = {
+  setForPost,
+  listEntries,
+  trending
+};
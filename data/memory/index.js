@@ -0,0 +1,44 @@
+// In-memory driver backed by the seed arrays in data/users.js and data/posts.js.
+// State lives for the lifetime of the process, which makes it handy for
+// local development and tests.
+const users = require('./users');
+const posts = require('./posts');
+const comments = require('./comments');
+const reactions = require('./reactions');
+const follows = require('./follows');
+const passwordResets = require('./passwordResets');
+const sessions = require('./sessions');
+const auditLog = require('./auditLog');
+const verificationRequests = require('./verificationRequests');
+const feedEntries = require('./feedEntries');
+const media = require('./media');
+const searchIndex = require('./searchIndex');
+const hashtags = require('./hashtags');
+const notificationPreferences = require('./notificationPreferences');
+const notifications = require('./notifications');
+
+const connect = async () => {};
+
+const disconnect = async () => {};
+
+module.exports = {
+  connect,
+  disconnect,
+  repositories: {
+    users,
+    posts,
+    comments,
+    reactions,
+    follows,
+    passwordResets,
+    sessions,
+    auditLog,
+    verificationRequests,
+    feedEntries,
+    media,
+    searchIndex,
+    hashtags,
+    notificationPreferences,
+    notifications
+  }
+};
@@ -0,0 +1,38 @@
+const media = new Map(); // id -> { id, ownerId, kind, mimeType, size, width, height, duration, storageKey, thumbnailKey, createdAt }
+
+// Record an uploaded media item
+const create = async ({ id, ownerId, kind, mimeType, size, width, height, duration, storageKey, thumbnailKey }) => {
+  const item = {
+    id,
+    ownerId,
+    kind,
+    mimeType,
+    size,
+    width,
+    height,
+    duration: duration ?? null,
+    storageKey,
+    thumbnailKey,
+    createdAt: new Date()
+  };
+
+  media.set(id, item);
+  return { ...item };
+};
+
+// Find a media item by ID
+const findById = async (id) => {
+  const item = media.get(id);
+  return item ? { ...item } : null;
+};
+
+// Find several media items at once (missing IDs are skipped)
+const findByIds = async (ids) => {
+  return ids.filter(id => media.has(id)).map(id => ({ ...media.get(id) }));
+};
+
+module.exports = {
+  create,
+  findById,
+  findByIds
+};
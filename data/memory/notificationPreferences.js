@@ -0,0 +1,67 @@
+const settings = new Map(); // userId -> { types, quietHours, updatedAt }
+const mutes = []; // { userId, targetType: 'user' | 'post', targetId, createdAt }
+
+// A user's saved settings and mutes, or null when they have neither
+const toRecord = (userId) => {
+  const saved = settings.get(userId);
+  const userMutes = mutes.filter(m => m.userId === userId);
+  if (!saved && userMutes.length === 0) {
+    return null;
+  }
+
+  return {
+    userId,
+    types: saved ? JSON.parse(JSON.stringify(saved.types)) : {},
+    quietHours: saved && saved.quietHours ? { ...saved.quietHours } : null,
+    mutedUserIds: userMutes.filter(m => m.targetType === 'user').map(m => m.targetId),
+    mutedPostIds: userMutes.filter(m => m.targetType === 'post').map(m => m.targetId)
+  };
+};
+
+// Find a user's preferences, null when they kept the defaults
+const findByUserId = async (userId) => {
+  return toRecord(userId);
+};
+
+// Preferences of the users among userIds who changed the defaults
+const findByUserIds = async (userIds) => {
+  return [...new Set(userIds)].map(toRecord).filter(Boolean);
+};
+
+// Save a user's per-type channel settings ({ type: { inApp, stored } }) and
+// quiet hours ({ start, end, timezone } or null)
+const save = async (userId, { types, quietHours }) => {
+  settings.set(userId, {
+    types: JSON.parse(JSON.stringify(types)),
+    quietHours: quietHours ? { ...quietHours } : null,
+    updatedAt: new Date()
+  });
+  return toRecord(userId);
+};
+
+// Mute a user or post for a user, returns false when it already was muted
+const mute = async (userId, targetType, targetId) => {
+  if (mutes.some(m => m.userId === userId && m.targetType === targetType && m.targetId === targetId)) {
+    return false;
+  }
+  mutes.push({ userId, targetType, targetId, createdAt: new Date() });
+  return true;
+};
+
+// Unmute a user or post, returns false when it was not muted
+const unmute = async (userId, targetType, targetId) => {
+  const index = mutes.findIndex(m => m.userId === userId && m.targetType === targetType && m.targetId === targetId);
+  if (index === -1) {
+    return false;
+  }
+  mutes.splice(index, 1);
+  return true;
+};
+
+module.exports = {
+  findByUserId,
+  findByUserIds,
+  save,
+  mute,
+  unmute
+};
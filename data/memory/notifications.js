@@ -0,0 +1,183 @@
+const notifications = []; // { id, userId, type, title, message, data, groupKey, groupStartedAt, actorIds, actors, read, deliveredAt, createdAt, timestamp }
+
+// Copy a stored notification so callers cannot change it in place
+const toNotification = (n) => ({
+  ...n,
+  data: { ...n.data },
+  actorIds: n.actorIds ? [...n.actorIds] : null,
+  actors: n.actors ? n.actors.map(actor => ({ ...actor })) : null
+});
+
+// Newest activity first, ties broken by ID (descending)
+const byTimestampDesc = (a, b) => (b.timestamp - a.timestamp) || b.id.localeCompare(a.id);
+
+// Whether a notification's activity is later than { timestamp, id }, ties broken by ID
+const isAfter = (n, { timestamp, id }) => {
+  return n.timestamp > timestamp || (n.timestamp.getTime() === timestamp.getTime() && n.id > id);
+};
+
+// Store a notification. timestamp is its last activity, which groups move
+// forward as they grow.
+const create = async ({ id, userId, type, title, message, data, groupKey = null, actorIds = null, actors = null }) => {
+  const now = new Date();
+  const notification = {
+    id,
+    userId,
+    type,
+    title,
+    message,
+    data: { ...data },
+    groupKey,
+    groupStartedAt: groupKey ? now : null,
+    actorIds: actorIds ? [...actorIds] : null,
+    actors: actors ? actors.map(actor => ({ ...actor })) : null,
+    read: false,
+    deliveredAt: null,
+    createdAt: now,
+    timestamp: now
+  };
+
+  notifications.push(notification);
+  return toNotification(notification);
+};
+
+// Update the user's newest group with this key started after since:
+// merge(group) returns the { message, data, actorIds, actors } to store, and
+// the group becomes unread and undelivered with its activity moved to now.
+// Returns the updated notification, or null when no such group is open.
+const updateOpenGroup = async (userId, groupKey, since, merge) => {
+  const group = notifications
+    .filter(n => n.userId === userId && n.groupKey === groupKey && n.groupStartedAt > since)
+    .sort((a, b) => b.groupStartedAt - a.groupStartedAt)[0];
+  if (!group) {
+    return null;
+  }
+
+  const { message, data, actorIds, actors } = merge(toNotification(group));
+  Object.assign(group, {
+    message,
+    data: { ...data },
+    actorIds: [...actorIds],
+    actors: actors.map(actor => ({ ...actor })),
+    read: false,
+    deliveredAt: null,
+    timestamp: new Date()
+  });
+  return toNotification(group);
+};
+
+// Page through a user's notifications, latest activity first. before is the
+// { timestamp, id } of the last notification on the previous page; type and
+// unreadOnly filter the list.
+const listPage = async (userId, { limit, before, type, unreadOnly = false } = {}) => {
+  return notifications
+    .filter(n => n.userId === userId && (!type || n.type === type) && (!unreadOnly || !n.read))
+    .filter(n => !before ||
+      n.timestamp < before.timestamp ||
+      (n.timestamp.getTime() === before.timestamp.getTime() && n.id < before.id))
+    .sort(byTimestampDesc)
+    .slice(0, limit)
+    .map(toNotification);
+};
+
+// List a user's notifications in the order they happened, oldest activity
+// first: those after { timestamp, id } and, with undeliveredOnly, those no
+// device has acknowledged. types limits the list to some notification types.
+const listSince = async (userId, { after = null, undeliveredOnly = false, types = null, limit } = {}) => {
+  return notifications
+    .filter(n => n.userId === userId && (!types || types.includes(n.type)))
+    .filter(n => (!after || isAfter(n, after)) && (!undeliveredOnly || !n.deliveredAt))
+    .sort((a, b) => byTimestampDesc(b, a))
+    .slice(0, limit)
+    .map(toNotification);
+};
+
+// Find one of a user's notifications
+const findById = async (userId, id) => {
+  const notification = notifications.find(n => n.userId === userId && n.id === id);
+  return notification ? toNotification(notification) : null;
+};
+
+// Find some of a user's notifications, oldest activity first
+const findByIds = async (userId, ids) => {
+  return notifications
+    .filter(n => n.userId === userId && ids.includes(n.id))
+    .sort((a, b) => byTimestampDesc(b, a))
+    .map(toNotification);
+};
+
+// Count a user's unread notifications
+const countUnread = async (userId) => {
+  return notifications.filter(n => n.userId === userId && !n.read).length;
+};
+
+// Mark one of a user's notifications as read, returns false when they have
+// no notification with this ID
+const markRead = async (userId, id) => {
+  const notification = notifications.find(n => n.userId === userId && n.id === id);
+  if (!notification) {
+    return false;
+  }
+  notification.read = true;
+  notification.deliveredAt = notification.deliveredAt || new Date();
+  return true;
+};
+
+// Mark all of a user's notifications as read, returns how many were unread
+const markAllRead = async (userId) => {
+  const unread = notifications.filter(n => n.userId === userId && !n.read);
+  const now = new Date();
+  unread.forEach(n => {
+    n.read = true;
+    n.deliveredAt = n.deliveredAt || now;
+  });
+  return unread.length;
+};
+
+// Record that some of a user's notifications reached one of their devices,
+// returns how many had not been delivered before
+const markDelivered = async (userId, ids) => {
+  const undelivered = notifications.filter(n => n.userId === userId && ids.includes(n.id) && !n.deliveredAt);
+  const now = new Date();
+  undelivered.forEach(n => {
+    n.deliveredAt = now;
+  });
+  return undelivered.length;
+};
+
+// Delete one of a user's notifications, returns false when it did not exist
+const remove = async (userId, id) => {
+  const index = notifications.findIndex(n => n.userId === userId && n.id === id);
+  if (index === -1) {
+    return false;
+  }
+  notifications.splice(index, 1);
+  return true;
+};
+
+// Delete every notification with no activity since a time, returns how many
+const purgeOlderThan = async (before) => {
+  let purged = 0;
+  for (let i = notifications.length - 1; i >= 0; i--) {
+    if (notifications[i].timestamp < before) {
+      notifications.splice(i, 1);
+      purged += 1;
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  create,
+  updateOpenGroup,
+  listPage,
+  listSince,
+  findById,
+  findByIds,
+  countUnread,
+  markRead,
+  markAllRead,
+  markDelivered,
+  remove,
+  purgeOlderThan
+};
@@ -0,0 +1,41 @@
+const passwordResets = []; // { id, userId, tokenHash, expiresAt, usedAt }
+
+// Store a new reset token hash for a user
+const create = async ({ userId, tokenHash, expiresAt }) => {
+  const reset = {
+    id: passwordResets.length + 1,
+    userId,
+    tokenHash,
+    expiresAt,
+    usedAt: null
+  };
+
+  passwordResets.push(reset);
+  return { ...reset };
+};
+
+// Mark a token as used if it is still valid, returns the userId or null
+const consume = async (tokenHash) => {
+  const reset = passwordResets.find(r => r.tokenHash === tokenHash);
+  if (!reset || reset.usedAt || reset.expiresAt <= new Date()) {
+    return null;
+  }
+
+  reset.usedAt = new Date();
+  return reset.userId;
+};
+
+// Invalidate every outstanding token for a user
+const revokeForUser = async (userId) => {
+  passwordResets
+    .filter(r => r.userId === userId && !r.usedAt)
+    .forEach(r => {
+      r.usedAt = new Date();
+    });
+};
+
+module.exports = {
+  create,
+  consume,
+  revokeForUser
+};
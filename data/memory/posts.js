@@ -0,0 +1,279 @@
+const posts = require('../posts');
+const media = require('./media');
+
+const revisions = []; // { id, postId, content, editorId, replacedAt }
+
+// Drafts and scheduled posts are unpublished until their author (or the
+// scheduler) publishes them. Unpublished posts and posts in the trash
+// (deletedAt set) are hidden from every read except findById with
+// includeUnpublished/includeDeleted, listQueue and listDeleted.
+const isPublished = (post) => !post.status || post.status === 'published';
+const isLive = (post) => !post.deletedAt && isPublished(post);
+const isQueued = (post) => !post.deletedAt && !isPublished(post);
+
+// Copy a stored post so callers cannot mutate the backing array by accident.
+// Comments and reactions are only counted; they are paged through
+// db.comments and db.reactions.
+const toPost = (post, mediaById) => {
+  const { attachmentIds = [], comments = [], reactions = [], ...rest } = post;
+  const reactionCounts = {};
+  reactions.forEach(reaction => {
+    reactionCounts[reaction.type] = (reactionCounts[reaction.type] || 0) + 1;
+  });
+
+  return {
+    ...rest,
+    status: post.status || 'published',
+    publishAt: post.publishAt || null,
+    editedAt: post.editedAt || null,
+    deletedAt: post.deletedAt || null,
+    deletedBy: post.deletedBy || null,
+    attachments: attachmentIds.map(id => mediaById.get(id)).filter(Boolean),
+    reactionCounts,
+    reactionCount: reactions.length,
+    commentCount: comments.length
+  };
+};
+
+// Copy a batch of stored posts along with their attachments' media records
+const hydrate = async (list) => {
+  const mediaIds = [...new Set(list.flatMap(post => post.attachmentIds || []))];
+  const mediaById = new Map((await media.findByIds(mediaIds)).map(item => [item.id, item]));
+  return list.map(post => toPost(post, mediaById));
+};
+
+// Newest first, ties broken by ID so the order is stable for cursors
+const newestFirst = (a, b) => (new Date(b.timestamp) - new Date(a.timestamp)) || (b.id - a.id);
+
+// Is a post older than the { timestamp, id } position of a cursor
+const isBefore = (post, before) => {
+  const time = new Date(post.timestamp).getTime();
+  const beforeTime = new Date(before.timestamp).getTime();
+  return time < beforeTime || (time === beforeTime && post.id < before.id);
+};
+
+// Page through posts newest first, optionally only by some authors.
+// before is the { timestamp, id } of the last post on the previous page.
+const listPage = async ({ userIds, limit, before } = {}) => {
+  return hydrate(posts
+    .filter(isLive)
+    .filter(p => !userIds || userIds.includes(p.userId))
+    .filter(p => !before || isBefore(p, before))
+    .sort(newestFirst)
+    .slice(0, limit));
+};
+
+// Find several posts at once (missing IDs are skipped)
+const findByIds = async (ids) => {
+  return hydrate(posts.filter(p => isLive(p) && ids.includes(p.id)));
+};
+
+// Count posts written by a user
+const countByUser = async (userId) => {
+  return posts.filter(p => isLive(p) && p.userId === userId).length;
+};
+
+// Find a post by ID
+const findById = async (id, { includeDeleted = false, includeUnpublished = false } = {}) => {
+  const post = posts.find(p => p.id === id);
+  if (!post || (!includeDeleted && post.deletedAt) || (!includeUnpublished && !isPublished(post))) {
+    return null;
+  }
+
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+// Create a new post; attachmentIds is the ordered list of media IDs. status
+// is 'published' (default), 'draft' or 'scheduled' (with publishAt).
+const create = async ({ userId, content, attachmentIds, timestamp, status = 'published', publishAt = null }) => {
+  const post = {
+    id: posts.length > 0 ? Math.max(...posts.map(p => p.id)) + 1 : 1,
+    userId,
+    content,
+    image: null,
+    attachmentIds: [...(attachmentIds || [])],
+    timestamp: timestamp || new Date(),
+    status,
+    publishAt,
+    editedAt: null,
+    deletedAt: null,
+    deletedBy: null,
+    reactions: [],
+    comments: []
+  };
+
+  posts.push(post);
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+// Replace a post's content, keeping the old content as a revision (drafts
+// and scheduled posts have no history until they are published).
+// Returns the updated post, or null when it does not exist.
+const update = async (id, { content, editorId }) => {
+  const post = posts.find(p => p.id === id && !p.deletedAt);
+  if (!post) {
+    return null;
+  }
+
+  if (!isPublished(post)) {
+    post.content = content;
+    const [hydrated] = await hydrate([post]);
+    return hydrated;
+  }
+
+  const now = new Date();
+  revisions.push({
+    id: revisions.length + 1,
+    postId: id,
+    content: post.content,
+    editorId,
+    replacedAt: now
+  });
+  post.content = content;
+  post.editedAt = now;
+
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+// Earlier versions of a post's content, oldest first. Each one records who
+// replaced it and when.
+const listRevisions = async (id) => {
+  return revisions
+    .filter(r => r.postId === id)
+    .map(({ postId, ...revision }) => ({ ...revision }));
+};
+
+// Move a post to the trash, returns false when it does not exist (or is
+// already there)
+const softDelete = async (id, deletedBy) => {
+  const post = posts.find(p => p.id === id && !p.deletedAt);
+  if (!post) {
+    return false;
+  }
+
+  post.deletedAt = new Date();
+  post.deletedBy = deletedBy;
+  return true;
+};
+
+// Take a post out of the trash, returns it or null when it was not there
+const restore = async (id) => {
+  const post = posts.find(p => p.id === id && p.deletedAt);
+  if (!post) {
+    return null;
+  }
+
+  post.deletedAt = null;
+  post.deletedBy = null;
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+// Page through an author's trashed posts, most recently deleted first.
+// before is the { deletedAt, id } of the last post on the previous page.
+const listDeleted = async ({ userId, limit, before } = {}) => {
+  return hydrate(posts
+    .filter(p => p.deletedAt && p.userId === userId)
+    .filter(p => !before ||
+      p.deletedAt < before.deletedAt ||
+      (p.deletedAt.getTime() === before.deletedAt.getTime() && p.id < before.id))
+    .sort((a, b) => (b.deletedAt - a.deletedAt) || (b.id - a.id))
+    .slice(0, limit));
+};
+
+// Permanently delete posts that were trashed before a cutoff, returns their IDs
+const purgeDeleted = async (deletedBefore) => {
+  const purged = posts.filter(p => p.deletedAt && p.deletedAt < deletedBefore).map(p => p.id);
+
+  for (let i = posts.length - 1; i >= 0; i--) {
+    if (purged.includes(posts[i].id)) {
+      posts.splice(i, 1);
+    }
+  }
+  for (let i = revisions.length - 1; i >= 0; i--) {
+    if (purged.includes(revisions[i].postId)) {
+      revisions.splice(i, 1);
+    }
+  }
+  return purged;
+};
+
+// An author's drafts and scheduled posts: scheduled ones first, soonest
+// first, then drafts, newest first
+const listQueue = async (userId) => {
+  return hydrate(posts
+    .filter(p => isQueued(p) && p.userId === userId)
+    .sort((a, b) => {
+      if (a.publishAt && b.publishAt) {
+        return (a.publishAt - b.publishAt) || (a.id - b.id);
+      }
+      return a.publishAt ? -1 : b.publishAt ? 1 : b.id - a.id;
+    }));
+};
+
+// Schedule an unpublished post for publishAt, or turn it back into a draft
+// when publishAt is null. Returns the post, or null when it is not queued.
+const setSchedule = async (id, publishAt) => {
+  const post = posts.find(p => p.id === id && isQueued(p));
+  if (!post) {
+    return null;
+  }
+
+  post.status = publishAt ? 'scheduled' : 'draft';
+  post.publishAt = publishAt || null;
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+// Publish a queued post now; its timestamp becomes the publication time.
+// Returns the post, or null when it is not (or no longer) queued.
+const publish = async (id) => {
+  const post = posts.find(p => p.id === id && isQueued(p));
+  if (!post) {
+    return null;
+  }
+
+  post.status = 'published';
+  post.publishAt = null;
+  post.timestamp = new Date();
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+// Publish the scheduled post that has been due the longest, returns it or
+// null when none is due
+const publishNextDue = async (now) => {
+  const [post] = posts
+    .filter(p => isQueued(p) && p.status === 'scheduled' && p.publishAt <= now)
+    .sort((a, b) => (a.publishAt - b.publishAt) || (a.id - b.id));
+  if (!post) {
+    return null;
+  }
+
+  post.status = 'published';
+  post.publishAt = null;
+  post.timestamp = new Date();
+  const [hydrated] = await hydrate([post]);
+  return hydrated;
+};
+
+module.exports = {
+  listPage,
+  findByIds,
+  countByUser,
+  findById,
+  create,
+  update,
+  listRevisions,
+  listQueue,
+  setSchedule,
+  publish,
+  publishNextDue,
+  softDelete,
+  restore,
+  listDeleted,
+  purgeDeleted
+};
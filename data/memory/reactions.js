@@ -0,0 +1,79 @@
+const posts = require('../posts');
+
+// Reactions live on their post as { userId, type, reactedAt }
+const reactionsOf = (post) => {
+  if (!post.reactions) post.reactions = [];
+  return post.reactions;
+};
+
+// Set a user's reaction on a post, replacing any earlier one. Returns
+// { previous } with the replaced type (or null), or null when the post does
+// not exist (or is unpublished or in the trash).
+const set = async (postId, userId, type) => {
+  const post = posts.find(p => p.id === postId && !p.deletedAt && (!p.status || p.status === 'published'));
+  if (!post) {
+    return null;
+  }
+
+  const reactions = reactionsOf(post);
+  const existing = reactions.find(r => r.userId === userId);
+  if (existing) {
+    const previous = existing.type;
+    if (previous !== type) {
+      existing.type = type;
+      existing.reactedAt = new Date();
+    }
+    return { previous };
+  }
+
+  reactions.push({ userId, type, reactedAt: new Date() });
+  return { previous: null };
+};
+
+// Remove a user's reaction from a post, returns the removed type or null
+const remove = async (postId, userId) => {
+  const post = posts.find(p => p.id === postId);
+  const reactions = post ? reactionsOf(post) : [];
+  const index = reactions.findIndex(r => r.userId === userId);
+  if (index === -1) {
+    return null;
+  }
+
+  const [removed] = reactions.splice(index, 1);
+  return removed.type;
+};
+
+// A user's reactions on some posts, as a Map of postId -> type
+const findByUser = async (userId, postIds) => {
+  const found = new Map();
+  posts
+    .filter(p => postIds.includes(p.id))
+    .forEach(post => {
+      const reaction = reactionsOf(post).find(r => r.userId === userId);
+      if (reaction) {
+        found.set(post.id, reaction.type);
+      }
+    });
+  return found;
+};
+
+// Page through a post's reactions newest first, optionally of one type.
+// before is the { reactedAt, userId } of the last reaction on the previous page.
+const listByPost = async (postId, { type, limit, before } = {}) => {
+  const post = posts.find(p => p.id === postId);
+  return (post ? reactionsOf(post) : [])
+    .filter(r => !type || r.type === type)
+    .filter(r => !before ||
+      r.reactedAt < before.reactedAt ||
+      (r.reactedAt.getTime() === before.reactedAt.getTime() && r.userId < before.userId))
+    .sort((a, b) => (b.reactedAt - a.reactedAt) || (b.userId - a.userId))
+    .slice(0, limit)
+    .map(r => ({ ...r }));
+};
+
+module.exports = {
+  set,
+  remove,
+  findByUser,
+  listByPost
+};
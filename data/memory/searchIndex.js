@@ -0,0 +1,98 @@
+// Inverted index for search. Documents are posts, comments and users, keyed
+// by type and ID (comment IDs are "<postId>:<commentId>"); postings map each
+// term to the documents containing it and how often.
+const documents = new Map(); // "type:id" -> { type, id, postId, length, terms }
+const postings = new Map(); // term -> Map of "type:id" -> count
+
+const keyOf = (type, id) => `${type}:${id}`;
+
+// Remove a document and its postings
+const remove = async (type, id) => {
+  const key = keyOf(type, id);
+  const document = documents.get(key);
+  if (!document) {
+    return;
+  }
+
+  document.terms.forEach(term => {
+    const list = postings.get(term);
+    list.delete(key);
+    if (list.size === 0) {
+      postings.delete(term);
+    }
+  });
+  documents.delete(key);
+};
+
+// Index a document, replacing whatever was indexed for it before. terms is a
+// Map of term -> number of occurrences.
+const replace = async ({ type, id, postId = null, length }, terms) => {
+  await remove(type, id);
+
+  const key = keyOf(type, id);
+  documents.set(key, { type, id: String(id), postId, length, terms: [...terms.keys()] });
+  terms.forEach((count, term) => {
+    if (!postings.has(term)) {
+      postings.set(term, new Map());
+    }
+    postings.get(term).set(key, count);
+  });
+};
+
+// Remove a post's document and those of its comments
+const removeByPost = async (postId) => {
+  const keys = [...documents.values()]
+    .filter(document => document.postId === postId)
+    .map(document => [document.type, document.id]);
+
+  for (const [type, id] of keys) {
+    await remove(type, id);
+  }
+};
+
+// The best `limit` documents of some types for some terms, scored with
+// BM25 ({ k1, b }) and a weight per type, as { type, id, postId, score }.
+// Document frequencies count every type so scores stay comparable whatever
+// the filter.
+const rank = async (terms, { types, limit, k1, b, weights }) => {
+  const { documents: total, averageLength } = await stats();
+  const results = new Map();
+
+  terms.forEach(term => {
+    const list = postings.get(term) || new Map();
+    const idf = Math.log(1 + (total - list.size + 0.5) / (list.size + 0.5));
+
+    list.forEach((count, key) => {
+      const { type, id, postId, length } = documents.get(key);
+      if (!types.includes(type)) {
+        return;
+      }
+
+      const norm = k1 * (1 - b + b * length / (averageLength || 1));
+      const result = results.get(key) || { type, id, postId, score: 0 };
+      result.score += idf * (count * (k1 + 1)) / (count + norm) * weights[type];
+      results.set(key, result);
+    });
+  });
+
+  return [...results.values()]
+    .sort((x, y) => (y.score - x.score) || `${x.type}:${x.id}`.localeCompare(`${y.type}:${y.id}`))
+    .slice(0, limit);
+};
+
+// Number of indexed documents and their average length in terms
+const stats = async () => {
+  const lengths = [...documents.values()].map(document => document.length);
+  return {
+    documents: lengths.length,
+    averageLength: lengths.length > 0 ? lengths.reduce((total, length) => total + length, 0) / lengths.length : 0
+  };
+};
+
+module.exports = {
+  replace,
+  remove,
+  removeByPost,
+  rank,
+  stats
+};
@@ -0,0 +1,77 @@
+const sessions = []; // { id, userId, refreshTokenHash, previousTokenHash, expiresAt, revokedAt, createdAt, lastUsedAt }
+
+// Create a login session
+const create = async ({ id, userId, refreshTokenHash, expiresAt }) => {
+  const session = {
+    id,
+    userId,
+    refreshTokenHash,
+    previousTokenHash: null,
+    expiresAt,
+    revokedAt: null,
+    createdAt: new Date(),
+    lastUsedAt: new Date()
+  };
+
+  sessions.push(session);
+  return { ...session };
+};
+
+// Find a session by ID
+const findById = async (id) => {
+  const session = sessions.find(s => s.id === id);
+  return session ? { ...session } : null;
+};
+
+// Find the session whose current refresh token has this hash
+const findByRefreshTokenHash = async (tokenHash) => {
+  const session = sessions.find(s => s.refreshTokenHash === tokenHash);
+  return session ? { ...session } : null;
+};
+
+// Find the session whose previous (already rotated) refresh token has this hash
+const findByPreviousTokenHash = async (tokenHash) => {
+  const session = sessions.find(s => s.previousTokenHash === tokenHash);
+  return session ? { ...session } : null;
+};
+
+// Swap in a new refresh token if currentHash is still the active one,
+// returns false when another request rotated it first
+const rotate = async (id, currentHash, newHash, expiresAt) => {
+  const session = sessions.find(s => s.id === id && s.refreshTokenHash === currentHash && !s.revokedAt);
+  if (!session) {
+    return false;
+  }
+
+  session.previousTokenHash = currentHash;
+  session.refreshTokenHash = newHash;
+  session.expiresAt = expiresAt;
+  session.lastUsedAt = new Date();
+  return true;
+};
+
+// Revoke a session
+const revoke = async (id) => {
+  const session = sessions.find(s => s.id === id);
+  if (session && !session.revokedAt) {
+    session.revokedAt = new Date();
+  }
+};
+
+// List a user's sessions that are neither revoked nor expired
+const listActiveByUser = async (userId) => {
+  const now = new Date();
+  return sessions
+    .filter(s => s.userId === userId && !s.revokedAt && s.expiresAt > now)
+    .map(s => ({ ...s }));
+};
+
+module.exports = {
+  create,
+  findById,
+  findByRefreshTokenHash,
+  findByPreviousTokenHash,
+  rotate,
+  revoke,
+  listActiveByUser
+};
@@ -0,0 +1,87 @@
+const users = require('../users');
+
+// Strip relation arrays so callers get the same shape as the postgres driver
+const toUser = ({ followers, following, ...user }) => ({ ...user });
+
+const nextId = () => (users.length > 0 ? Math.max(...users.map(u => u.id)) + 1 : 1);
+
+// Find a user by ID
+const findById = async (id) => {
+  const user = users.find(u => u.id === id);
+  return user ? toUser(user) : null;
+};
+
+// Find a user by email
+const findByEmail = async (email) => {
+  const user = users.find(u => u.email === email);
+  return user ? toUser(user) : null;
+};
+
+// Find a user by handle (stored lowercase)
+const findByHandle = async (handle) => {
+  const user = users.find(u => u.handle === handle);
+  return user ? toUser(user) : null;
+};
+
+// Find the users behind several handles (unknown handles are skipped)
+const findByHandles = async (handles) => {
+  return users.filter(u => handles.includes(u.handle)).map(toUser);
+};
+
+// Find several users at once
+const findByIds = async (ids) => {
+  return users.filter(u => ids.includes(u.id)).map(toUser);
+};
+
+// List all users
+const list = async () => {
+  return users.map(toUser);
+};
+
+// Create a new user
+const create = async ({ email, passwordHash, type, name, handle }) => {
+  const user = {
+    id: nextId(),
+    email,
+    passwordHash,
+    type,
+    name,
+    handle,
+    followers: [],
+    following: []
+  };
+
+  users.push(user);
+  return toUser(user);
+};
+
+// Replace a user's password hash
+const updatePassword = async (id, passwordHash) => {
+  const user = users.find(u => u.id === id);
+  if (user) {
+    user.passwordHash = passwordHash;
+  }
+};
+
+// Change a user's type (role), returns the updated user or null
+const updateType = async (id, type) => {
+  const user = users.find(u => u.id === id);
+  if (!user) {
+    return null;
+  }
+
+  user.type = type;
+  return toUser(user);
+};
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByHandle,
+  findByHandles,
+  findByIds,
+  list,
+  create,
+  updatePassword,
+  updateType
+};
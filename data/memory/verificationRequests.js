@@ -0,0 +1,65 @@
+const requests = []; // { id, userId, status, evidence, reviewerId, reviewNote, reviewedAt, createdAt }
+
+const toRequest = (request) => ({ ...request, evidence: { ...request.evidence } });
+
+// Submit a new pending request
+const create = async ({ userId, evidence }) => {
+  const request = {
+    id: requests.length + 1,
+    userId,
+    status: 'pending',
+    evidence,
+    reviewerId: null,
+    reviewNote: null,
+    reviewedAt: null,
+    createdAt: new Date()
+  };
+
+  requests.push(request);
+  return toRequest(request);
+};
+
+// Find a request by ID
+const findById = async (id) => {
+  const request = requests.find(r => r.id === id);
+  return request ? toRequest(request) : null;
+};
+
+// List a user's requests (newest first)
+const listByUser = async (userId) => {
+  return requests
+    .filter(r => r.userId === userId)
+    .sort((a, b) => b.id - a.id)
+    .map(toRequest);
+};
+
+// List requests with a status, oldest first so the queue is worked in order
+const listByStatus = async ({ status, limit, afterId }) => {
+  return requests
+    .filter(r => r.status === status && (!afterId || r.id > afterId))
+    .sort((a, b) => a.id - b.id)
+    .slice(0, limit)
+    .map(toRequest);
+};
+
+// Approve or reject a pending request, returns null if it was not pending
+const review = async (id, { status, reviewerId, reviewNote }) => {
+  const request = requests.find(r => r.id === id && r.status === 'pending');
+  if (!request) {
+    return null;
+  }
+
+  request.status = status;
+  request.reviewerId = reviewerId;
+  request.reviewNote = reviewNote || null;
+  request.reviewedAt = new Date();
+  return toRequest(request);
+};
+
+module.exports = {
+  create,
+  findById,
+  listByUser,
+  listByStatus,
+  review
+};
@@ -0,0 +1,66 @@
+// Schema migration runner for the postgres driver.
+//
+// Migrations are the .sql files in data/migrations, applied in filename order.
+// Each file runs in its own transaction and is recorded in schema_migrations,
+// so running this repeatedly only applies what is new.
+// Usage: node data/migrate.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const listMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+};
+
+// Apply all pending migrations using the given pg pool
+const migrate = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const { rows } = await pool.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(row => row.name));
+  const pending = listMigrations().filter(file => !applied.has(file));
+
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      console.log(`🗄️ Applied migration ${file}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${file} failed: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  return pending;
+};
+
+module.exports = { migrate };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { pool } = require('./postgres/pool');
+
+  migrate(pool)
+    .then((pending) => {
+      console.log(`✅ Migrations complete (${pending.length} applied)`);
+    })
+    .catch((error) => {
+      console.error('❌', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,15 @@
+-- Passwords are now stored as salted scrypt hashes (see services/passwords.js).
+-- Existing plain-text values no longer verify; those accounts have to go
+-- through the password reset flow.
+ALTER TABLE users RENAME COLUMN password TO password_hash;
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS password_resets_user_id_idx ON password_resets (user_id);
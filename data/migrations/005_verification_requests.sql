@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS verification_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  evidence JSONB NOT NULL,
+  reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  review_note TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A user can only have one request waiting for review
+CREATE UNIQUE INDEX IF NOT EXISTS verification_requests_one_pending_idx
+  ON verification_requests (user_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS verification_requests_status_idx ON verification_requests (status, id);
@@ -0,0 +1,6 @@
+-- Follower lists are paged with (created_at, user id) cursors that round-trip
+-- through JavaScript Dates, so store follow times with millisecond precision.
+ALTER TABLE follows ALTER COLUMN created_at TYPE TIMESTAMPTZ(3);
+
+CREATE INDEX IF NOT EXISTS follows_followee_created_at_idx ON follows (followee_id, created_at DESC, follower_id DESC);
+CREATE INDEX IF NOT EXISTS follows_follower_created_at_idx ON follows (follower_id, created_at DESC, followee_id DESC);
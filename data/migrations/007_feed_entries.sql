@@ -0,0 +1,18 @@
+-- Post times are used in (created_at, id) feed cursors that round-trip through
+-- JavaScript Dates, so keep them at millisecond precision.
+ALTER TABLE posts ALTER COLUMN created_at TYPE TIMESTAMPTZ(3);
+
+CREATE INDEX IF NOT EXISTS posts_created_at_id_idx ON posts (created_at DESC, id DESC);
+
+-- Precomputed home timelines: one row per (reader, post), written when a post
+-- is fanned out to the author's followers.
+CREATE TABLE IF NOT EXISTS feed_entries (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ(3) NOT NULL,
+  PRIMARY KEY (user_id, post_id)
+);
+
+CREATE INDEX IF NOT EXISTS feed_entries_timeline_idx ON feed_entries (user_id, created_at DESC, post_id DESC);
+CREATE INDEX IF NOT EXISTS feed_entries_author_idx ON feed_entries (user_id, author_id);
@@ -0,0 +1,17 @@
+-- Timelines only receive posts fanned out after 007, so fill them in for
+-- existing data: each user's own posts plus those of the accounts they
+-- follow, capped at the 200 newest per user (the default ranking window).
+INSERT INTO feed_entries (user_id, post_id, author_id, created_at)
+SELECT user_id, post_id, author_id, created_at
+FROM (
+  SELECT readers.user_id, p.id AS post_id, p.user_id AS author_id, p.created_at,
+         ROW_NUMBER() OVER (PARTITION BY readers.user_id ORDER BY p.created_at DESC, p.id DESC) AS position
+  FROM (
+    SELECT id AS user_id, id AS author_id FROM users
+    UNION
+    SELECT follower_id, followee_id FROM follows
+  ) readers
+  JOIN posts p ON p.user_id = readers.author_id
+) ranked
+WHERE position <= 200
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,19 @@
+-- Uploaded media. The bytes live in object storage under storage_key; the
+-- table only keeps what is needed to serve and describe them.
+CREATE TABLE IF NOT EXISTS media (
+  id UUID PRIMARY KEY,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  storage_key TEXT NOT NULL,
+  thumbnail_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS media_owner_idx ON media (owner_id);
+
+-- Posts reference media by ID; the image column is only read for posts
+-- written before uploads existed.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS media_id UUID REFERENCES media(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+-- Media can now be videos, which carry a duration and have no thumbnail
+ALTER TABLE media ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'image' CHECK (kind IN ('image', 'video'));
+ALTER TABLE media ADD COLUMN IF NOT EXISTS duration_seconds NUMERIC(10, 3);
+ALTER TABLE media ALTER COLUMN thumbnail_key DROP NOT NULL;
+
+-- Posts carry an ordered list of attachments instead of a single media_id
+CREATE TABLE IF NOT EXISTS post_attachments (
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  media_id UUID NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+  position SMALLINT NOT NULL,
+  PRIMARY KEY (post_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS post_attachments_media_idx ON post_attachments (media_id);
+
+INSERT INTO post_attachments (post_id, media_id, position)
+SELECT id, media_id, 0 FROM posts WHERE media_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE posts DROP COLUMN IF EXISTS media_id;
@@ -0,0 +1,13 @@
+-- Posts can be edited by their author. edited_at marks the last edit and
+-- post_revisions keeps every replaced version of the content.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ(3);
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  editor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  replaced_at TIMESTAMPTZ(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS post_revisions_post_idx ON post_revisions (post_id, id);
@@ -0,0 +1,13 @@
+-- Threaded comments: parent_id is the comment being answered and root_id the
+-- top-level comment of the thread, so a whole thread loads with one lookup.
+-- Deleting a comment removes the replies below it.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS root_id INTEGER REFERENCES comments(id) ON DELETE CASCADE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ(3);
+
+-- Comment pages use (created_at, id) cursors that round-trip through
+-- JavaScript Dates
+ALTER TABLE comments ALTER COLUMN created_at TYPE TIMESTAMPTZ(3);
+
+CREATE INDEX IF NOT EXISTS comments_top_level_idx ON comments (post_id, created_at, id) WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS comments_root_idx ON comments (root_id, created_at, id);
@@ -0,0 +1,17 @@
+-- Emoji reactions replace likes: one reaction per user and post. Existing
+-- likes become "like" reactions.
+CREATE TABLE IF NOT EXISTS post_reactions (
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('like', 'love', 'laugh', 'wow', 'sad', 'angry')),
+  created_at TIMESTAMPTZ(3) NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS post_reactions_list_idx ON post_reactions (post_id, created_at DESC, user_id DESC);
+
+INSERT INTO post_reactions (post_id, user_id, type, created_at)
+SELECT post_id, user_id, 'like', created_at FROM post_likes
+ON CONFLICT DO NOTHING;
+
+DROP TABLE IF EXISTS post_likes;
@@ -0,0 +1,7 @@
+-- Deleting a post moves it to the trash; it can be restored until a
+-- background job purges it after the retention window.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ(3);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS posts_trash_idx ON posts (user_id, deleted_at DESC, id DESC) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS posts_purge_idx ON posts (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Drafts are saved but unpublished; scheduled posts are published by the
+-- scheduler once publish_at has passed.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'scheduled', 'published'));
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ(3);
+ALTER TABLE posts ADD CONSTRAINT posts_publish_at_check CHECK ((status = 'scheduled') = (publish_at IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS posts_queue_idx ON posts (user_id) WHERE status <> 'published' AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS posts_publish_due_idx ON posts (publish_at) WHERE status = 'scheduled' AND deleted_at IS NULL;
@@ -0,0 +1,23 @@
+-- Inverted index for GET /api/search. Documents are posts, comments and
+-- users; comment documents are keyed "<postId>:<commentId>". The index is
+-- written by services/search.js; a post's documents go when it is purged.
+CREATE TABLE IF NOT EXISTS search_documents (
+  doc_type TEXT NOT NULL CHECK (doc_type IN ('post', 'comment', 'user')),
+  doc_id TEXT NOT NULL,
+  post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+  length INTEGER NOT NULL,
+  PRIMARY KEY (doc_type, doc_id)
+);
+
+CREATE INDEX IF NOT EXISTS search_documents_post_idx ON search_documents (post_id) WHERE post_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS search_postings (
+  term TEXT NOT NULL,
+  doc_type TEXT NOT NULL,
+  doc_id TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  PRIMARY KEY (term, doc_type, doc_id),
+  FOREIGN KEY (doc_type, doc_id) REFERENCES search_documents (doc_type, doc_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS search_postings_document_idx ON search_postings (doc_type, doc_id);
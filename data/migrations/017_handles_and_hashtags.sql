@@ -0,0 +1,29 @@
+-- Unique @handles for mentions. Existing accounts get one derived from their
+-- name and ID; new accounts pick one (or get one derived) when registering.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS handle TEXT;
+
+UPDATE users
+SET handle = COALESCE(NULLIF(left(trim(both '_' from regexp_replace(lower(name), '[^a-z0-9]+', '_', 'g')), 24), ''), 'user') || '_' || id
+WHERE handle IS NULL;
+
+ALTER TABLE users ALTER COLUMN handle SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS users_handle_idx ON users (handle);
+
+-- Hashtags used by published posts, dated with the post, for tag pages and
+-- trending tags
+CREATE TABLE IF NOT EXISTS post_hashtags (
+  post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  created_at TIMESTAMPTZ(3) NOT NULL,
+  PRIMARY KEY (post_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS post_hashtags_tag_idx ON post_hashtags (tag, created_at DESC, post_id DESC);
+CREATE INDEX IF NOT EXISTS post_hashtags_created_at_idx ON post_hashtags (created_at);
+
+-- Tag the posts that already exist (same rules as services/hashtags.js)
+INSERT INTO post_hashtags (post_id, tag, created_at)
+SELECT DISTINCT p.id, lower(m[2]), p.created_at
+FROM posts p, regexp_matches(p.content, '(^|[^[:alnum:]_&])#([[:alnum:]_]+)', 'g') AS m
+WHERE p.status = 'published' AND length(m[2]) <= 50 AND m[2] ~ '[[:alpha:]]'
+ON CONFLICT DO NOTHING;
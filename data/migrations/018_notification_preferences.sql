@@ -0,0 +1,21 @@
+-- Per-user notification settings: which notification types are pushed over
+-- the socket (in-app) and which are stored, plus optional quiet hours in the
+-- user's time zone. Users without a row get every notification.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  types JSONB NOT NULL DEFAULT '{}',
+  quiet_start TIME,
+  quiet_end TIME,
+  quiet_timezone TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((quiet_start IS NULL) = (quiet_end IS NULL) AND (quiet_start IS NULL) = (quiet_timezone IS NULL))
+);
+
+-- Users and posts a user no longer wants notifications about
+CREATE TABLE IF NOT EXISTS notification_mutes (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type TEXT NOT NULL CHECK (target_type IN ('user', 'post')),
+  target_id INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, target_type, target_id)
+);
@@ -0,0 +1,23 @@
+-- Notifications move out of process memory. updated_at is the last activity
+-- (a group of reactions or comments moves forward as it grows) and orders
+-- the list; grouped notifications keep the IDs of everyone who took part.
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  group_key TEXT,
+  group_started_at TIMESTAMPTZ(3),
+  actor_ids INTEGER[],
+  actors JSONB,
+  read BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ(3) NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_list_idx ON notifications (user_id, updated_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (user_id) WHERE NOT read;
+CREATE INDEX IF NOT EXISTS notifications_group_idx ON notifications (user_id, group_key, group_started_at DESC) WHERE group_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS notifications_updated_at_idx ON notifications (updated_at);
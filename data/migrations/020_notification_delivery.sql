@@ -0,0 +1,6 @@
+-- Clients acknowledge the notifications that reach them. delivered_at is the
+-- first acknowledgement (or read) from any of the user's devices; a group
+-- that grows becomes undelivered again, like it becomes unread.
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ(3);
+
+CREATE INDEX IF NOT EXISTS notifications_undelivered_idx ON notifications (user_id, updated_at, id) WHERE delivered_at IS NULL;
@@ -0,0 +1,31 @@
+const { query } = require('./pool');
+
+const COLUMNS = `id, actor_id AS "actorId", action, target_type AS "targetType", target_id AS "targetId",
+  details, created_at AS "timestamp"`;
+
+// Append an audit entry
+const create = async ({ actorId, action, targetType, targetId, details }) => {
+  const { rows } = await query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, details) VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${COLUMNS}`,
+    [actorId, action, targetType, targetId === undefined || targetId === null ? null : String(targetId), details || {}]
+  );
+  return rows[0];
+};
+
+// List entries newest first, optionally only those older than beforeId
+const list = async ({ limit, beforeId } = {}) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM audit_log
+     WHERE ($1::int IS NULL OR id < $1)
+     ORDER BY id DESC
+     LIMIT $2`,
+    [beforeId || null, limit || null]
+  );
+  return rows;
+};
+
+module.exports = {
+  create,
+  list
+};
@@ -0,0 +1,104 @@
+const { query } = require('./pool');
+
+const COLUMNS = 'id, post_id, parent_id, root_id, user_id, text, created_at, edited_at';
+
+const toComment = (row) => ({
+  id: row.id,
+  postId: row.post_id,
+  parentId: row.parent_id,
+  rootId: row.root_id,
+  userId: row.user_id,
+  text: row.text,
+  timestamp: row.created_at,
+  editedAt: row.edited_at
+});
+
+// Add a comment to a post, returns null when the post does not exist, is
+// unpublished or is in the trash.
+// parentId must be a comment on the same post (checked by the caller).
+const create = async (postId, { userId, text, parentId }) => {
+  const { rows } = await query(
+    `INSERT INTO comments (post_id, user_id, text, parent_id, root_id)
+     SELECT p.id, $2, $3, parent.id, COALESCE(parent.root_id, parent.id)
+     FROM posts p
+     LEFT JOIN comments parent ON parent.id = $4 AND parent.post_id = p.id
+     WHERE p.id = $1 AND p.deleted_at IS NULL AND p.status = 'published'
+     RETURNING ${COLUMNS}`,
+    [postId, userId, text, parentId || null]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return toComment(rows[0]);
+};
+
+// Find a comment on a post
+const findById = async (postId, commentId) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM comments WHERE post_id = $1 AND id = $2`,
+    [postId, commentId]
+  );
+  return rows.length > 0 ? toComment(rows[0]) : null;
+};
+
+// Change a comment's text, returns null when it does not exist
+const update = async (postId, commentId, { text }) => {
+  const { rows } = await query(
+    `UPDATE comments SET text = $3, edited_at = NOW() WHERE post_id = $1 AND id = $2 RETURNING ${COLUMNS}`,
+    [postId, commentId, text]
+  );
+  return rows.length > 0 ? toComment(rows[0]) : null;
+};
+
+// Page through a post's top-level comments oldest first. after is the
+// { timestamp, id } of the last comment on the previous page.
+const listPage = async (postId, { limit, after } = {}) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM comments
+     WHERE post_id = $1 AND parent_id IS NULL
+       AND ($2::timestamptz IS NULL OR (created_at, id) > ($2, $3))
+     ORDER BY created_at, id
+     LIMIT $4`,
+    [postId, after ? after.timestamp : null, after ? after.id : null, limit || null]
+  );
+  return rows.map(toComment);
+};
+
+// All replies in the threads started by some top-level comments, oldest first
+const listReplies = async (postId, rootIds) => {
+  if (rootIds.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM comments WHERE post_id = $1 AND root_id = ANY($2::int[]) ORDER BY created_at, id`,
+    [postId, rootIds]
+  );
+  return rows.map(toComment);
+};
+
+// Delete a comment and the replies below it, returns the IDs of the deleted
+// comments (empty when it did not exist)
+const remove = async (postId, commentId) => {
+  const { rows } = await query(
+    `WITH RECURSIVE doomed AS (
+       SELECT id FROM comments WHERE post_id = $1 AND id = $2
+       UNION ALL
+       SELECT c.id FROM comments c JOIN doomed d ON c.parent_id = d.id
+     )
+     DELETE FROM comments WHERE id IN (SELECT id FROM doomed) RETURNING id`,
+    [postId, commentId]
+  );
+  return rows.map(row => row.id);
+};
+
+module.exports = {
+  create,
+  findById,
+  update,
+  listPage,
+  listReplies,
+  remove
+};
@@ -0,0 +1,61 @@
+const { query } = require('./pool');
+
+// Add timeline entries, skipping any (userId, postId) already present
+const addMany = async (entries) => {
+  if (entries.length === 0) {
+    return;
+  }
+
+  await query(
+    `INSERT INTO feed_entries (user_id, post_id, author_id, created_at)
+     SELECT * FROM UNNEST($1::int[], $2::int[], $3::int[], $4::timestamptz[])
+     ON CONFLICT DO NOTHING`,
+    [
+      entries.map(e => e.userId),
+      entries.map(e => e.postId),
+      entries.map(e => e.authorId),
+      entries.map(e => e.createdAt)
+    ]
+  );
+};
+
+// Page through a user's timeline newest first. before is the
+// { createdAt, postId } of the last entry on the previous page; notAfter
+// ignores entries newer than a snapshot time.
+const list = async (userId, { limit, before, notAfter } = {}) => {
+  const { rows } = await query(
+    `SELECT user_id AS "userId", post_id AS "postId", author_id AS "authorId", created_at AS "createdAt"
+     FROM feed_entries
+     WHERE user_id = $1
+       AND ($2::timestamptz IS NULL OR created_at <= $2)
+       AND ($3::timestamptz IS NULL OR (created_at, post_id) < ($3, $4))
+     ORDER BY created_at DESC, post_id DESC
+     LIMIT $5`,
+    [userId, notAfter || null, before ? before.createdAt : null, before ? before.postId : null, limit || null]
+  );
+  return rows;
+};
+
+// Count the entries in a user's timeline
+const count = async (userId) => {
+  const { rows } = await query('SELECT COUNT(*) AS count FROM feed_entries WHERE user_id = $1', [userId]);
+  return parseInt(rows[0].count);
+};
+
+// Drop an author's posts from a user's timeline (after an unfollow)
+const removeByAuthor = async (userId, authorId) => {
+  await query('DELETE FROM feed_entries WHERE user_id = $1 AND author_id = $2', [userId, authorId]);
+};
+
+// Drop a post from every timeline (after it is deleted)
+const removeByPost = async (postId) => {
+  await query('DELETE FROM feed_entries WHERE post_id = $1', [postId]);
+};
+
+module.exports = {
+  addMany,
+  list,
+  count,
+  removeByAuthor,
+  removeByPost
+};
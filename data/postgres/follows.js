@@ -0,0 +1,120 @@
+const { query } = require('./pool');
+
+// IDs of the users someone follows
+const getFollowingIds = async (userId) => {
+  const { rows } = await query(
+    'SELECT followee_id FROM follows WHERE follower_id = $1 ORDER BY created_at',
+    [userId]
+  );
+  return rows.map(row => row.followee_id);
+};
+
+// IDs of the users following someone
+const getFollowerIds = async (userId) => {
+  const { rows } = await query(
+    'SELECT follower_id FROM follows WHERE followee_id = $1 ORDER BY created_at',
+    [userId]
+  );
+  return rows.map(row => row.follower_id);
+};
+
+// Check whether followerId follows followeeId
+const isFollowing = async (followerId, followeeId) => {
+  const { rows } = await query(
+    'SELECT 1 FROM follows WHERE follower_id = $1 AND followee_id = $2',
+    [followerId, followeeId]
+  );
+  return rows.length > 0;
+};
+
+// Record a follow (no-op when it already exists)
+const follow = async (followerId, followeeId) => {
+  await query(
+    'INSERT INTO follows (follower_id, followee_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [followerId, followeeId]
+  );
+};
+
+// Remove a follow (no-op when it does not exist)
+const unfollow = async (followerId, followeeId) => {
+  await query('DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2', [followerId, followeeId]);
+};
+
+// Count a user's followers
+const countFollowers = async (userId) => {
+  const { rows } = await query('SELECT COUNT(*) AS count FROM follows WHERE followee_id = $1', [userId]);
+  return parseInt(rows[0].count);
+};
+
+// Count the users someone follows
+const countFollowing = async (userId) => {
+  const { rows } = await query('SELECT COUNT(*) AS count FROM follows WHERE follower_id = $1', [userId]);
+  return parseInt(rows[0].count);
+};
+
+// Page through a user's followers, most recent first.
+// Returns [{ userId, followedAt }]; before is the last edge of the previous page.
+const listFollowers = async (userId, { limit, before } = {}) => {
+  const { rows } = await query(
+    `SELECT follower_id AS "userId", created_at AS "followedAt" FROM follows
+     WHERE followee_id = $1
+       AND ($2::timestamptz IS NULL OR (created_at, follower_id) < ($2, $3))
+     ORDER BY created_at DESC, follower_id DESC
+     LIMIT $4`,
+    [userId, before ? before.followedAt : null, before ? before.userId : null, limit || null]
+  );
+  return rows;
+};
+
+// Page through the users someone follows, most recent first
+const listFollowing = async (userId, { limit, before } = {}) => {
+  const { rows } = await query(
+    `SELECT followee_id AS "userId", created_at AS "followedAt" FROM follows
+     WHERE follower_id = $1
+       AND ($2::timestamptz IS NULL OR (created_at, followee_id) < ($2, $3))
+     ORDER BY created_at DESC, followee_id DESC
+     LIMIT $4`,
+    [userId, before ? before.followedAt : null, before ? before.userId : null, limit || null]
+  );
+  return rows;
+};
+
+// Which of the given users does followerId follow
+const filterFollowedBy = async (followerId, userIds) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(
+    'SELECT followee_id FROM follows WHERE follower_id = $1 AND followee_id = ANY($2::int[])',
+    [followerId, userIds]
+  );
+  return rows.map(row => row.followee_id);
+};
+
+// Which of the given users follow followeeId
+const filterFollowersOf = async (followeeId, userIds) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(
+    'SELECT follower_id FROM follows WHERE followee_id = $1 AND follower_id = ANY($2::int[])',
+    [followeeId, userIds]
+  );
+  return rows.map(row => row.follower_id);
+};
+
+module.exports = {
+  getFollowingIds,
+  getFollowerIds,
+  isFollowing,
+  follow,
+  unfollow,
+  countFollowers,
+  countFollowing,
+  listFollowers,
+  listFollowing,
+  filterFollowedBy,
+  filterFollowersOf
+};
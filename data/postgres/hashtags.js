@@ -0,0 +1,55 @@
+const { query, transaction } = require('./pool');
+
+// Replace the tags recorded for a post; createdAt is the post's timestamp
+const setForPost = async (postId, tags, createdAt) => {
+  await transaction(async (client) => {
+    await client.query('DELETE FROM post_hashtags WHERE post_id = $1', [postId]);
+    await client.query(
+      'INSERT INTO post_hashtags (post_id, tag, created_at) SELECT $1, tag, $3 FROM unnest($2::text[]) AS tag',
+      [postId, tags, createdAt]
+    );
+  });
+};
+
+// Page through the posts using a tag, newest first, as { postId, timestamp }
+// entries of the tag index. before is the { timestamp, id } of the last entry
+// on the previous page.
+const listEntries = async (tag, { limit, before } = {}) => {
+  const { rows } = await query(
+    `SELECT h.post_id, h.created_at FROM post_hashtags h
+     JOIN posts p ON p.id = h.post_id AND p.deleted_at IS NULL AND p.status = 'published'
+     WHERE h.tag = $1
+       AND ($2::timestamptz IS NULL OR (h.created_at, h.post_id) < ($2, $3))
+     ORDER BY h.created_at DESC, h.post_id DESC
+     LIMIT $4`,
+    [tag, before ? before.timestamp : null, before ? before.id : null, limit || null]
+  );
+  return rows.map(row => ({ postId: row.post_id, timestamp: row.created_at }));
+};
+
+// The most used tags among posts created since a time, as
+// { tag, posts, authors, lastUsedAt }, most posts first
+const trending = async ({ since, limit }) => {
+  const { rows } = await query(
+    `SELECT h.tag, COUNT(*) AS posts, COUNT(DISTINCT p.user_id) AS authors, MAX(h.created_at) AS last_used_at
+     FROM post_hashtags h
+     JOIN posts p ON p.id = h.post_id AND p.deleted_at IS NULL AND p.status = 'published'
+     WHERE h.created_at >= $1
+     GROUP BY h.tag
+     ORDER BY posts DESC, last_used_at DESC, h.tag
+     LIMIT $2`,
+    [since, limit]
+  );
+  return rows.map(row => ({
+    tag: row.tag,
+    posts: parseInt(row.posts),
+    authors: parseInt(row.authors),
+    lastUsedAt: row.last_used_at
+  }));
+};
+
+module.exports = {
+  setForPost,
+  listEntries,
+  trending
+};
@@ -0,0 +1,53 @@
+// PostgreSQL driver. Connecting applies pending migrations from data/migrations
+// unless DB_AUTO_MIGRATE=false.
+const { pool } = require('./pool');
+const { migrate } = require('../migrate');
+const users = require('./users');
+const posts = require('./posts');
+const comments = require('./comments');
+const reactions = require('./reactions');
+const follows = require('./follows');
+const passwordResets = require('./passwordResets');
+const sessions = require('./sessions');
+const auditLog = require('./auditLog');
+const verificationRequests = require('./verificationRequests');
+const feedEntries = require('./feedEntries');
+const media = require('./media');
+const searchIndex = require('./searchIndex');
+const hashtags = require('./hashtags');
+const notificationPreferences = require('./notificationPreferences');
+const notifications = require('./notifications');
+
+const connect = async () => {
+  await pool.query('SELECT 1');
+
+  if (process.env.DB_AUTO_MIGRATE !== 'false') {
+    await migrate(pool);
+  }
+};
+
+const disconnect = async () => {
+  await pool.end();
+};
+
+module.exports = {
+  connect,
+  disconnect,
+  repositories: {
+    users,
+    posts,
+    comments,
+    reactions,
+    follows,
+    passwordResets,
+    sessions,
+    auditLog,
+    verificationRequests,
+    feedEntries,
+    media,
+    searchIndex,
+    hashtags,
+    notificationPreferences,
+    notifications
+  }
+};
@@ -0,0 +1,37 @@
+const { query } = require('./pool');
+
+const COLUMNS = `id, owner_id AS "ownerId", kind, mime_type AS "mimeType", size_bytes AS "size", width, height,
+  duration_seconds::float8 AS "duration", storage_key AS "storageKey", thumbnail_key AS "thumbnailKey",
+  created_at AS "createdAt"`;
+
+// Record an uploaded media item
+const create = async ({ id, ownerId, kind, mimeType, size, width, height, duration, storageKey, thumbnailKey }) => {
+  const { rows } = await query(
+    `INSERT INTO media (id, owner_id, kind, mime_type, size_bytes, width, height, duration_seconds, storage_key, thumbnail_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING ${COLUMNS}`,
+    [id, ownerId, kind, mimeType, size, width, height, duration ?? null, storageKey, thumbnailKey]
+  );
+  return rows[0];
+};
+
+// Find a media item by ID
+const findById = async (id) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM media WHERE id = $1`, [id]);
+  return rows[0] || null;
+};
+
+// Find several media items at once (missing IDs are skipped)
+const findByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(`SELECT ${COLUMNS} FROM media WHERE id = ANY($1::uuid[])`, [ids]);
+  return rows;
+};
+
+module.exports = {
+  create,
+  findById,
+  findByIds
+};
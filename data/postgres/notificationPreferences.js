@@ -0,0 +1,103 @@
+const { query } = require('./pool');
+
+// Build the records for some users from their settings and mute rows
+const toRecords = (settingsRows, muteRows) => {
+  const records = new Map();
+  const recordFor = (userId) => {
+    if (!records.has(userId)) {
+      records.set(userId, { userId, types: {}, quietHours: null, mutedUserIds: [], mutedPostIds: [] });
+    }
+    return records.get(userId);
+  };
+
+  settingsRows.forEach(row => {
+    const record = recordFor(row.user_id);
+    record.types = row.types;
+    record.quietHours = row.quiet_start
+      ? { start: row.quiet_start.slice(0, 5), end: row.quiet_end.slice(0, 5), timezone: row.quiet_timezone }
+      : null;
+  });
+  muteRows.forEach(row => {
+    const record = recordFor(row.user_id);
+    (row.target_type === 'user' ? record.mutedUserIds : record.mutedPostIds).push(row.target_id);
+  });
+
+  return [...records.values()];
+};
+
+// Preferences of the users among userIds who changed the defaults
+const findByUserIds = async (userIds) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const [settings, mutes] = await Promise.all([
+    query(
+      `SELECT user_id, types, quiet_start::text, quiet_end::text, quiet_timezone
+       FROM notification_preferences WHERE user_id = ANY($1::int[])`,
+      [userIds]
+    ),
+    query(
+      `SELECT user_id, target_type, target_id FROM notification_mutes
+       WHERE user_id = ANY($1::int[]) ORDER BY created_at`,
+      [userIds]
+    )
+  ]);
+  return toRecords(settings.rows, mutes.rows);
+};
+
+// Find a user's preferences, null when they kept the defaults
+const findByUserId = async (userId) => {
+  const [record] = await findByUserIds([userId]);
+  return record || null;
+};
+
+// Save a user's per-type channel settings ({ type: { inApp, stored } }) and
+// quiet hours ({ start, end, timezone } or null)
+const save = async (userId, { types, quietHours }) => {
+  await query(
+    `INSERT INTO notification_preferences (user_id, types, quiet_start, quiet_end, quiet_timezone)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id) DO UPDATE
+       SET types = EXCLUDED.types,
+           quiet_start = EXCLUDED.quiet_start,
+           quiet_end = EXCLUDED.quiet_end,
+           quiet_timezone = EXCLUDED.quiet_timezone,
+           updated_at = NOW()`,
+    [
+      userId,
+      JSON.stringify(types),
+      quietHours ? quietHours.start : null,
+      quietHours ? quietHours.end : null,
+      quietHours ? quietHours.timezone : null
+    ]
+  );
+  return findByUserId(userId);
+};
+
+// Mute a user or post for a user, returns false when it already was muted
+const mute = async (userId, targetType, targetId) => {
+  const { rowCount } = await query(
+    `INSERT INTO notification_mutes (user_id, target_type, target_id) VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING`,
+    [userId, targetType, targetId]
+  );
+  return rowCount > 0;
+};
+
+// Unmute a user or post, returns false when it was not muted
+const unmute = async (userId, targetType, targetId) => {
+  const { rowCount } = await query(
+    'DELETE FROM notification_mutes WHERE user_id = $1 AND target_type = $2 AND target_id = $3',
+    [userId, targetType, targetId]
+  );
+  return rowCount > 0;
+};
+
+module.exports = {
+  findByUserId,
+  findByUserIds,
+  save,
+  mute,
+  unmute
+};
@@ -0,0 +1,188 @@
+const { query, transaction } = require('./pool');
+
+const COLUMNS = 'id, user_id, type, title, message, data, group_key, group_started_at, actor_ids, actors, read, delivered_at, created_at, updated_at';
+
+const toNotification = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  type: row.type,
+  title: row.title,
+  message: row.message,
+  data: row.data,
+  groupKey: row.group_key,
+  groupStartedAt: row.group_started_at,
+  actorIds: row.actor_ids,
+  actors: row.actors,
+  read: row.read,
+  deliveredAt: row.delivered_at,
+  createdAt: row.created_at,
+  timestamp: row.updated_at
+});
+
+// Store a notification. timestamp is its last activity, which groups move
+// forward as they grow.
+const create = async ({ id, userId, type, title, message, data, groupKey = null, actorIds = null, actors = null }) => {
+  const { rows } = await query(
+    `INSERT INTO notifications (id, user_id, type, title, message, data, group_key, group_started_at, actor_ids, actors)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $7::text IS NULL THEN NULL ELSE NOW() END, $8, $9)
+     RETURNING ${COLUMNS}`,
+    [id, userId, type, title, message, JSON.stringify(data), groupKey, actorIds, actors ? JSON.stringify(actors) : null]
+  );
+  return toNotification(rows[0]);
+};
+
+// Update the user's newest group with this key started after since:
+// merge(group) returns the { message, data, actorIds, actors } to store, and
+// the group becomes unread and undelivered with its activity moved to now.
+// Returns the updated notification, or null when no such group is open.
+const updateOpenGroup = async (userId, groupKey, since, merge) => {
+  return transaction(async (client) => {
+    // Lock the group so concurrent events for it are merged one at a time
+    const current = await client.query(
+      `SELECT ${COLUMNS} FROM notifications
+       WHERE user_id = $1 AND group_key = $2 AND group_started_at > $3
+       ORDER BY group_started_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [userId, groupKey, since]
+    );
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const { message, data, actorIds, actors } = merge(toNotification(current.rows[0]));
+    const { rows } = await client.query(
+      `UPDATE notifications
+       SET message = $2, data = $3, actor_ids = $4, actors = $5, read = FALSE, delivered_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${COLUMNS}`,
+      [current.rows[0].id, message, JSON.stringify(data), actorIds, JSON.stringify(actors)]
+    );
+    return toNotification(rows[0]);
+  });
+};
+
+// Page through a user's notifications, latest activity first. before is the
+// { timestamp, id } of the last notification on the previous page; type and
+// unreadOnly filter the list.
+const listPage = async (userId, { limit, before, type, unreadOnly = false } = {}) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM notifications
+     WHERE user_id = $1
+       AND ($2::text IS NULL OR type = $2)
+       AND (NOT $3 OR NOT read)
+       AND ($4::timestamptz IS NULL OR (updated_at, id) < ($4, $5::uuid))
+     ORDER BY updated_at DESC, id DESC
+     LIMIT $6`,
+    [userId, type || null, unreadOnly, before ? before.timestamp : null, before ? before.id : null, limit || null]
+  );
+  return rows.map(toNotification);
+};
+
+// List a user's notifications in the order they happened, oldest activity
+// first: those after { timestamp, id } and, with undeliveredOnly, those no
+// device has acknowledged. types limits the list to some notification types.
+const listSince = async (userId, { after = null, undeliveredOnly = false, types = null, limit } = {}) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM notifications
+     WHERE user_id = $1
+       AND ($2::text[] IS NULL OR type = ANY($2))
+       AND ($3::timestamptz IS NULL OR (updated_at, id) > ($3, $4::uuid))
+       AND (NOT $5 OR delivered_at IS NULL)
+     ORDER BY updated_at, id
+     LIMIT $6`,
+    [userId, types, after ? after.timestamp : null, after ? after.id : null, undeliveredOnly, limit || null]
+  );
+  return rows.map(toNotification);
+};
+
+// Find one of a user's notifications
+const findById = async (userId, id) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM notifications WHERE user_id = $1 AND id = $2`,
+    [userId, id]
+  );
+  return rows.length > 0 ? toNotification(rows[0]) : null;
+};
+
+// Find some of a user's notifications, oldest activity first
+const findByIds = async (userId, ids) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM notifications
+     WHERE user_id = $1 AND id = ANY($2::uuid[])
+     ORDER BY updated_at, id`,
+    [userId, ids]
+  );
+  return rows.map(toNotification);
+};
+
+// Count a user's unread notifications
+const countUnread = async (userId) => {
+  const { rows } = await query(
+    'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND NOT read',
+    [userId]
+  );
+  return rows[0].count;
+};
+
+// Mark one of a user's notifications as read, returns false when they have
+// no notification with this ID
+const markRead = async (userId, id) => {
+  const { rowCount } = await query(
+    `UPDATE notifications SET read = TRUE, delivered_at = COALESCE(delivered_at, NOW())
+     WHERE user_id = $1 AND id = $2`,
+    [userId, id]
+  );
+  return rowCount > 0;
+};
+
+// Mark all of a user's notifications as read, returns how many were unread
+const markAllRead = async (userId) => {
+  const { rowCount } = await query(
+    `UPDATE notifications SET read = TRUE, delivered_at = COALESCE(delivered_at, NOW())
+     WHERE user_id = $1 AND NOT read`,
+    [userId]
+  );
+  return rowCount;
+};
+
+// Record that some of a user's notifications reached one of their devices,
+// returns how many had not been delivered before
+const markDelivered = async (userId, ids) => {
+  const { rowCount } = await query(
+    `UPDATE notifications SET delivered_at = NOW()
+     WHERE user_id = $1 AND id = ANY($2::uuid[]) AND delivered_at IS NULL`,
+    [userId, ids]
+  );
+  return rowCount;
+};
+
+// Delete one of a user's notifications, returns false when it did not exist
+const remove = async (userId, id) => {
+  const { rowCount } = await query(
+    'DELETE FROM notifications WHERE user_id = $1 AND id = $2',
+    [userId, id]
+  );
+  return rowCount > 0;
+};
+
+// Delete every notification with no activity since a time, returns how many
+const purgeOlderThan = async (before) => {
+  const { rowCount } = await query('DELETE FROM notifications WHERE updated_at < $1', [before]);
+  return rowCount;
+};
+
+module.exports = {
+  create,
+  updateOpenGroup,
+  listPage,
+  listSince,
+  findById,
+  findByIds,
+  countUnread,
+  markRead,
+  markAllRead,
+  markDelivered,
+  remove,
+  purgeOlderThan
+};
@@ -0,0 +1,33 @@
+const { query } = require('./pool');
+
+// Store a new reset token hash for a user
+const create = async ({ userId, tokenHash, expiresAt }) => {
+  const { rows } = await query(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES ($1, $2, $3)
+     RETURNING id, user_id AS "userId", token_hash AS "tokenHash", expires_at AS "expiresAt", used_at AS "usedAt"`,
+    [userId, tokenHash, expiresAt]
+  );
+  return rows[0];
+};
+
+// Mark a token as used if it is still valid, returns the userId or null
+const consume = async (tokenHash) => {
+  const { rows } = await query(
+    `UPDATE password_resets SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [tokenHash]
+  );
+  return rows.length > 0 ? rows[0].user_id : null;
+};
+
+// Invalidate every outstanding token for a user
+const revokeForUser = async (userId) => {
+  await query('UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL', [userId]);
+};
+
+module.exports = {
+  create,
+  consume,
+  revokeForUser
+};
@@ -0,0 +1,36 @@
+const { Pool } = require('pg');
+
+// Shared connection pool (configured through DATABASE_URL)
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  max: parseInt(process.env.DATABASE_POOL_SIZE) || 10
+});
+
+pool.on('error', (error) => {
+  console.error('❌ PostgreSQL pool error:', error);
+});
+
+// Run a single query
+const query = (text, params) => pool.query(text, params);
+
+// Run a callback inside a transaction, rolling back if it throws
+const transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  pool,
+  query,
+  transaction
+};
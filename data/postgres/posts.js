@@ -0,0 +1,289 @@
+const { query, transaction } = require('./pool');
+const media = require('./media');
+
+const COLUMNS = 'id, user_id, content, image, created_at, status, publish_at, edited_at, deleted_at, deleted_by';
+
+// Drafts and scheduled posts, and posts in the trash, are hidden from reads
+// unless asked for
+const LIVE = "deleted_at IS NULL AND status = 'published'";
+
+// Load reaction and comment counts and attachments for a batch of post rows
+const hydrate = async (rows) => {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const ids = rows.map(row => row.id);
+  const [reactionResult, commentResult, attachmentResult] = await Promise.all([
+    query('SELECT post_id, type, COUNT(*) AS count FROM post_reactions WHERE post_id = ANY($1::int[]) GROUP BY post_id, type', [ids]),
+    query('SELECT post_id, COUNT(*) AS count FROM comments WHERE post_id = ANY($1::int[]) GROUP BY post_id', [ids]),
+    query('SELECT post_id, media_id FROM post_attachments WHERE post_id = ANY($1::int[]) ORDER BY position', [ids])
+  ]);
+  const mediaIds = [...new Set(attachmentResult.rows.map(row => row.media_id))];
+  const mediaById = new Map((await media.findByIds(mediaIds)).map(item => [item.id, item]));
+
+  const reactionCountsFor = (postId) => {
+    const counts = {};
+    reactionResult.rows
+      .filter(reaction => reaction.post_id === postId)
+      .forEach(reaction => {
+        counts[reaction.type] = parseInt(reaction.count);
+      });
+    return counts;
+  };
+
+  return rows.map(row => {
+    const reactionCounts = reactionCountsFor(row.id);
+    return {
+      id: row.id,
+      userId: row.user_id,
+      content: row.content,
+      image: row.image,
+      attachments: attachmentResult.rows
+        .filter(attachment => attachment.post_id === row.id)
+        .map(attachment => mediaById.get(attachment.media_id))
+        .filter(Boolean),
+      timestamp: row.created_at,
+      status: row.status,
+      publishAt: row.publish_at,
+      editedAt: row.edited_at,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by,
+      reactionCounts,
+      reactionCount: Object.values(reactionCounts).reduce((total, count) => total + count, 0),
+      commentCount: parseInt((commentResult.rows.find(count => count.post_id === row.id) || { count: 0 }).count)
+    };
+  });
+};
+
+// Page through posts newest first, optionally only by some authors.
+// before is the { timestamp, id } of the last post on the previous page.
+const listPage = async ({ userIds, limit, before } = {}) => {
+  if (userIds && userIds.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM posts
+     WHERE ${LIVE}
+       AND ($1::int[] IS NULL OR user_id = ANY($1::int[]))
+       AND ($2::timestamptz IS NULL OR (created_at, id) < ($2, $3))
+     ORDER BY created_at DESC, id DESC
+     LIMIT $4`,
+    [userIds || null, before ? before.timestamp : null, before ? before.id : null, limit || null]
+  );
+  return hydrate(rows);
+};
+
+// Find several posts at once (missing IDs are skipped)
+const findByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(`SELECT ${COLUMNS} FROM posts WHERE id = ANY($1::int[]) AND ${LIVE}`, [ids]);
+  return hydrate(rows);
+};
+
+// Count posts written by a user
+const countByUser = async (userId) => {
+  const { rows } = await query(`SELECT COUNT(*) AS count FROM posts WHERE user_id = $1 AND ${LIVE}`, [userId]);
+  return parseInt(rows[0].count);
+};
+
+// Find a post by ID
+const findById = async (id, { includeDeleted = false, includeUnpublished = false } = {}) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM posts
+     WHERE id = $1 AND ($2 OR deleted_at IS NULL) AND ($3 OR status = 'published')`,
+    [id, includeDeleted, includeUnpublished]
+  );
+  const [post] = await hydrate(rows);
+  return post || null;
+};
+
+// Create a new post; attachmentIds is the ordered list of media IDs. status
+// is 'published' (default), 'draft' or 'scheduled' (with publishAt).
+const create = async ({ userId, content, attachmentIds, timestamp, status = 'published', publishAt = null }) => {
+  const rows = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO posts (user_id, content, created_at, status, publish_at)
+       VALUES ($1, $2, $3, $4, $5) RETURNING ${COLUMNS}`,
+      [userId, content, timestamp || new Date(), status, publishAt]
+    );
+
+    const postId = result.rows[0].id;
+    for (const [position, mediaId] of (attachmentIds || []).entries()) {
+      await client.query(
+        'INSERT INTO post_attachments (post_id, media_id, position) VALUES ($1, $2, $3)',
+        [postId, mediaId, position]
+      );
+    }
+    return result.rows;
+  });
+
+  const [post] = await hydrate(rows);
+  return post;
+};
+
+// Replace a post's content, keeping the old content as a revision (drafts
+// and scheduled posts have no history until they are published).
+// Returns the updated post, or null when it does not exist.
+const update = async (id, { content, editorId }) => {
+  const rows = await transaction(async (client) => {
+    const current = await client.query('SELECT content, status FROM posts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+    if (current.rows.length === 0) {
+      return [];
+    }
+
+    if (current.rows[0].status !== 'published') {
+      const result = await client.query(`UPDATE posts SET content = $2 WHERE id = $1 RETURNING ${COLUMNS}`, [id, content]);
+      return result.rows;
+    }
+
+    await client.query(
+      'INSERT INTO post_revisions (post_id, content, editor_id) VALUES ($1, $2, $3)',
+      [id, current.rows[0].content, editorId]
+    );
+    const result = await client.query(
+      `UPDATE posts SET content = $2, edited_at = NOW() WHERE id = $1 RETURNING ${COLUMNS}`,
+      [id, content]
+    );
+    return result.rows;
+  });
+
+  const [post] = await hydrate(rows);
+  return post || null;
+};
+
+// Earlier versions of a post's content, oldest first. Each one records who
+// replaced it and when.
+const listRevisions = async (id) => {
+  const { rows } = await query(
+    `SELECT id, content, editor_id AS "editorId", replaced_at AS "replacedAt"
+     FROM post_revisions WHERE post_id = $1 ORDER BY id`,
+    [id]
+  );
+  return rows;
+};
+
+// Move a post to the trash, returns false when it does not exist (or is
+// already there)
+const softDelete = async (id, deletedBy) => {
+  const { rowCount } = await query(
+    'UPDATE posts SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL',
+    [id, deletedBy]
+  );
+  return rowCount > 0;
+};
+
+// Take a post out of the trash, returns it or null when it was not there
+const restore = async (id) => {
+  const { rows } = await query(
+    `UPDATE posts SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 AND deleted_at IS NOT NULL RETURNING ${COLUMNS}`,
+    [id]
+  );
+  const [post] = await hydrate(rows);
+  return post || null;
+};
+
+// Page through an author's trashed posts, most recently deleted first.
+// before is the { deletedAt, id } of the last post on the previous page.
+const listDeleted = async ({ userId, limit, before } = {}) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM posts
+     WHERE user_id = $1 AND deleted_at IS NOT NULL
+       AND ($2::timestamptz IS NULL OR (deleted_at, id) < ($2, $3))
+     ORDER BY deleted_at DESC, id DESC
+     LIMIT $4`,
+    [userId, before ? before.deletedAt : null, before ? before.id : null, limit || null]
+  );
+  return hydrate(rows);
+};
+
+// Permanently delete posts that were trashed before a cutoff, returns their
+// IDs. Comments, reactions, attachments, revisions and feed entries cascade.
+const purgeDeleted = async (deletedBefore) => {
+  const { rows } = await query(
+    'DELETE FROM posts WHERE deleted_at IS NOT NULL AND deleted_at < $1 RETURNING id',
+    [deletedBefore]
+  );
+  return rows.map(row => row.id);
+};
+
+// An author's drafts and scheduled posts: scheduled ones first, soonest
+// first, then drafts, newest first
+const listQueue = async (userId) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM posts
+     WHERE user_id = $1 AND deleted_at IS NULL AND status <> 'published'
+     ORDER BY publish_at ASC NULLS LAST,
+              CASE WHEN publish_at IS NULL THEN -id ELSE id END`,
+    [userId]
+  );
+  return hydrate(rows);
+};
+
+// Schedule an unpublished post for publishAt, or turn it back into a draft
+// when publishAt is null. Returns the post, or null when it is not queued.
+const setSchedule = async (id, publishAt) => {
+  const { rows } = await query(
+    `UPDATE posts SET status = CASE WHEN $2::timestamptz IS NULL THEN 'draft' ELSE 'scheduled' END, publish_at = $2
+     WHERE id = $1 AND deleted_at IS NULL AND status <> 'published'
+     RETURNING ${COLUMNS}`,
+    [id, publishAt || null]
+  );
+  const [post] = await hydrate(rows);
+  return post || null;
+};
+
+// Publish a queued post now; its timestamp becomes the publication time.
+// Returns the post, or null when it is not (or no longer) queued.
+const publish = async (id) => {
+  const { rows } = await query(
+    `UPDATE posts SET status = 'published', publish_at = NULL, created_at = NOW()
+     WHERE id = $1 AND deleted_at IS NULL AND status <> 'published'
+     RETURNING ${COLUMNS}`,
+    [id]
+  );
+  const [post] = await hydrate(rows);
+  return post || null;
+};
+
+// Publish the scheduled post that has been due the longest, returns it or
+// null when none is due. Locked rows are skipped, which makes this safe to
+// run on several instances at once: each post is claimed by exactly one of them.
+const publishNextDue = async (now) => {
+  const { rows } = await query(
+    `UPDATE posts SET status = 'published', publish_at = NULL, created_at = NOW()
+     WHERE id = (
+       SELECT id FROM posts
+       WHERE status = 'scheduled' AND deleted_at IS NULL AND publish_at <= $1
+       ORDER BY publish_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING ${COLUMNS}`,
+    [now]
+  );
+  const [post] = await hydrate(rows);
+  return post || null;
+};
+
+module.exports = {
+  listPage,
+  findByIds,
+  countByUser,
+  findById,
+  create,
+  update,
+  listRevisions,
+  listQueue,
+  setSchedule,
+  publish,
+  publishNextDue,
+  softDelete,
+  restore,
+  listDeleted,
+  purgeDeleted
+};
@@ -0,0 +1,68 @@
+const { query } = require('./pool');
+
+// Set a user's reaction on a post, replacing any earlier one. Returns
+// { previous } with the replaced type (or null), or null when the post does
+// not exist (or is unpublished or in the trash).
+const set = async (postId, userId, type) => {
+  const { rows } = await query(
+    `WITH previous AS (
+       SELECT type FROM post_reactions WHERE post_id = $1 AND user_id = $2
+     ), upserted AS (
+       INSERT INTO post_reactions (post_id, user_id, type)
+       SELECT id, $2, $3 FROM posts WHERE id = $1 AND deleted_at IS NULL AND status = 'published'
+       ON CONFLICT (post_id, user_id) DO UPDATE
+         SET type = EXCLUDED.type, created_at = NOW()
+         WHERE post_reactions.type <> EXCLUDED.type
+       RETURNING post_id
+     )
+     SELECT (SELECT type FROM previous) AS previous,
+            EXISTS (SELECT 1 FROM posts WHERE id = $1 AND deleted_at IS NULL AND status = 'published') AS post_exists`,
+    [postId, userId, type]
+  );
+
+  return rows[0].post_exists ? { previous: rows[0].previous } : null;
+};
+
+// Remove a user's reaction from a post, returns the removed type or null
+const remove = async (postId, userId) => {
+  const { rows } = await query(
+    'DELETE FROM post_reactions WHERE post_id = $1 AND user_id = $2 RETURNING type',
+    [postId, userId]
+  );
+  return rows.length > 0 ? rows[0].type : null;
+};
+
+// A user's reactions on some posts, as a Map of postId -> type
+const findByUser = async (userId, postIds) => {
+  if (postIds.length === 0) {
+    return new Map();
+  }
+
+  const { rows } = await query(
+    'SELECT post_id, type FROM post_reactions WHERE user_id = $1 AND post_id = ANY($2::int[])',
+    [userId, postIds]
+  );
+  return new Map(rows.map(row => [row.post_id, row.type]));
+};
+
+// Page through a post's reactions newest first, optionally of one type.
+// before is the { reactedAt, userId } of the last reaction on the previous page.
+const listByPost = async (postId, { type, limit, before } = {}) => {
+  const { rows } = await query(
+    `SELECT user_id AS "userId", type, created_at AS "reactedAt" FROM post_reactions
+     WHERE post_id = $1
+       AND ($2::text IS NULL OR type = $2)
+       AND ($3::timestamptz IS NULL OR (created_at, user_id) < ($3, $4))
+     ORDER BY created_at DESC, user_id DESC
+     LIMIT $5`,
+    [postId, type || null, before ? before.reactedAt : null, before ? before.userId : null, limit || null]
+  );
+  return rows;
+};
+
+module.exports = {
+  set,
+  remove,
+  findByUser,
+  listByPost
+};
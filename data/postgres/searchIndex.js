@@ -0,0 +1,84 @@
+const { query, transaction } = require('./pool');
+
+// Remove a document (its postings cascade)
+const remove = async (type, id) => {
+  await query('DELETE FROM search_documents WHERE doc_type = $1 AND doc_id = $2', [type, String(id)]);
+};
+
+// Index a document, replacing whatever was indexed for it before. terms is a
+// Map of term -> number of occurrences.
+const replace = async ({ type, id, postId = null, length }, terms) => {
+  await transaction(async (client) => {
+    await client.query('DELETE FROM search_documents WHERE doc_type = $1 AND doc_id = $2', [type, String(id)]);
+    await client.query(
+      'INSERT INTO search_documents (doc_type, doc_id, post_id, length) VALUES ($1, $2, $3, $4)',
+      [type, String(id), postId, length]
+    );
+    await client.query(
+      `INSERT INTO search_postings (term, doc_type, doc_id, count)
+       SELECT term, $1, $2, count FROM unnest($3::text[], $4::int[]) AS t(term, count)`,
+      [type, String(id), [...terms.keys()], [...terms.values()]]
+    );
+  });
+};
+
+// Remove a post's document and those of its comments
+const removeByPost = async (postId) => {
+  await query('DELETE FROM search_documents WHERE post_id = $1', [postId]);
+};
+
+// The best `limit` documents of some types for some terms, scored with
+// BM25 ({ k1, b }) and a weight per type, as { type, id, postId, score }.
+// Scoring, ordering and the limit all happen in the query, so only the
+// candidates are returned rather than every posting of every term.
+// Document frequencies count every type so scores stay comparable whatever
+// the filter.
+const rank = async (terms, { types, limit, k1, b, weights }) => {
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(
+    `WITH totals AS (
+       SELECT COUNT(*)::float8 AS documents, COALESCE(NULLIF(AVG(length), 0), 1)::float8 AS average_length
+       FROM search_documents
+     ), frequencies AS (
+       SELECT term, COUNT(*)::float8 AS df FROM search_postings WHERE term = ANY($1::text[]) GROUP BY term
+     ), type_weights AS (
+       SELECT * FROM unnest($2::text[], $3::float8[]) AS w(doc_type, weight)
+     )
+     SELECT p.doc_type AS type, p.doc_id AS id, d.post_id AS "postId",
+            SUM(
+              LN(1 + (t.documents - f.df + 0.5) / (f.df + 0.5))
+              * (p.count * ($4::float8 + 1)) / (p.count + $4::float8 * (1 - $5::float8 + $5::float8 * d.length / t.average_length))
+              * w.weight
+            ) AS score
+     FROM search_postings p
+     JOIN frequencies f ON f.term = p.term
+     JOIN type_weights w ON w.doc_type = p.doc_type
+     JOIN search_documents d ON d.doc_type = p.doc_type AND d.doc_id = p.doc_id
+     CROSS JOIN totals t
+     GROUP BY p.doc_type, p.doc_id, d.post_id
+     ORDER BY score DESC, p.doc_type, p.doc_id
+     LIMIT $6`,
+    [terms, types, types.map(type => weights[type]), k1, b, limit]
+  );
+  return rows.map(row => ({ ...row, score: parseFloat(row.score) }));
+};
+
+// Number of indexed documents and their average length in terms
+const stats = async () => {
+  const { rows } = await query('SELECT COUNT(*) AS documents, COALESCE(AVG(length), 0) AS average_length FROM search_documents');
+  return {
+    documents: parseInt(rows[0].documents),
+    averageLength: parseFloat(rows[0].average_length)
+  };
+};
+
+module.exports = {
+  replace,
+  remove,
+  removeByPost,
+  rank,
+  stats
+};
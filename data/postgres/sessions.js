@@ -0,0 +1,71 @@
+const { query } = require('./pool');
+
+const COLUMNS = `id, user_id AS "userId", refresh_token_hash AS "refreshTokenHash",
+  previous_token_hash AS "previousTokenHash", expires_at AS "expiresAt", revoked_at AS "revokedAt",
+  created_at AS "createdAt", last_used_at AS "lastUsedAt"`;
+
+// Create a login session
+const create = async ({ id, userId, refreshTokenHash, expiresAt }) => {
+  const { rows } = await query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, expires_at) VALUES ($1, $2, $3, $4)
+     RETURNING ${COLUMNS}`,
+    [id, userId, refreshTokenHash, expiresAt]
+  );
+  return rows[0];
+};
+
+// Find a session by ID
+const findById = async (id) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM sessions WHERE id = $1`, [id]);
+  return rows[0] || null;
+};
+
+// Find the session whose current refresh token has this hash
+const findByRefreshTokenHash = async (tokenHash) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM sessions WHERE refresh_token_hash = $1`, [tokenHash]);
+  return rows[0] || null;
+};
+
+// Find the session whose previous (already rotated) refresh token has this hash
+const findByPreviousTokenHash = async (tokenHash) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM sessions WHERE previous_token_hash = $1`, [tokenHash]);
+  return rows[0] || null;
+};
+
+// Swap in a new refresh token if currentHash is still the active one,
+// returns false when another request rotated it first
+const rotate = async (id, currentHash, newHash, expiresAt) => {
+  const { rowCount } = await query(
+    `UPDATE sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = $3, expires_at = $4, last_used_at = NOW()
+     WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [id, currentHash, newHash, expiresAt]
+  );
+  return rowCount > 0;
+};
+
+// Revoke a session
+const revoke = async (id) => {
+  await query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [id]);
+};
+
+// List a user's sessions that are neither revoked nor expired
+const listActiveByUser = async (userId) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at`,
+    [userId]
+  );
+  return rows;
+};
+
+module.exports = {
+  create,
+  findById,
+  findByRefreshTokenHash,
+  findByPreviousTokenHash,
+  rotate,
+  revoke,
+  listActiveByUser
+};
@@ -0,0 +1,79 @@
+const { query } = require('./pool');
+
+const COLUMNS = 'id, email, password_hash AS "passwordHash", type, name, handle';
+
+// Find a user by ID
+const findById = async (id) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM users WHERE id = $1`, [id]);
+  return rows[0] || null;
+};
+
+// Find a user by email
+const findByEmail = async (email) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM users WHERE email = $1`, [email]);
+  return rows[0] || null;
+};
+
+// Find a user by handle (stored lowercase)
+const findByHandle = async (handle) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM users WHERE handle = $1`, [handle]);
+  return rows[0] || null;
+};
+
+// Find the users behind several handles (unknown handles are skipped)
+const findByHandles = async (handles) => {
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(`SELECT ${COLUMNS} FROM users WHERE handle = ANY($1::text[])`, [handles]);
+  return rows;
+};
+
+// Find several users at once
+const findByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { rows } = await query(`SELECT ${COLUMNS} FROM users WHERE id = ANY($1::int[])`, [ids]);
+  return rows;
+};
+
+// List all users
+const list = async () => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM users ORDER BY id`);
+  return rows;
+};
+
+// Create a new user
+const create = async ({ email, passwordHash, type, name, handle }) => {
+  const { rows } = await query(
+    `INSERT INTO users (email, password_hash, type, name, handle) VALUES ($1, $2, $3, $4, $5) RETURNING ${COLUMNS}`,
+    [email, passwordHash, type, name, handle]
+  );
+  return rows[0];
+};
+
+// Replace a user's password hash
+const updatePassword = async (id, passwordHash) => {
+  await query('UPDATE users SET password_hash = $2 WHERE id = $1', [id, passwordHash]);
+};
+
+// Change a user's type (role), returns the updated user or null
+const updateType = async (id, type) => {
+  const { rows } = await query(`UPDATE users SET type = $2 WHERE id = $1 RETURNING ${COLUMNS}`, [id, type]);
+  return rows[0] || null;
+};
+
+module.exports = {
+  findById,
+  findByEmail,
+  findByHandle,
+  findByHandles,
+  findByIds,
+  list,
+  create,
+  updatePassword,
+  updateType
+};
@@ -0,0 +1,60 @@
+const { query } = require('./pool');
+
+const COLUMNS = `id, user_id AS "userId", status, evidence, reviewer_id AS "reviewerId",
+  review_note AS "reviewNote", reviewed_at AS "reviewedAt", created_at AS "createdAt"`;
+
+// Submit a new pending request
+const create = async ({ userId, evidence }) => {
+  const { rows } = await query(
+    `INSERT INTO verification_requests (user_id, evidence) VALUES ($1, $2) RETURNING ${COLUMNS}`,
+    [userId, evidence]
+  );
+  return rows[0];
+};
+
+// Find a request by ID
+const findById = async (id) => {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM verification_requests WHERE id = $1`, [id]);
+  return rows[0] || null;
+};
+
+// List a user's requests (newest first)
+const listByUser = async (userId) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM verification_requests WHERE user_id = $1 ORDER BY id DESC`,
+    [userId]
+  );
+  return rows;
+};
+
+// List requests with a status, oldest first so the queue is worked in order
+const listByStatus = async ({ status, limit, afterId }) => {
+  const { rows } = await query(
+    `SELECT ${COLUMNS} FROM verification_requests
+     WHERE status = $1 AND ($2::int IS NULL OR id > $2)
+     ORDER BY id
+     LIMIT $3`,
+    [status, afterId || null, limit || null]
+  );
+  return rows;
+};
+
+// Approve or reject a pending request, returns null if it was not pending
+const review = async (id, { status, reviewerId, reviewNote }) => {
+  const { rows } = await query(
+    `UPDATE verification_requests
+     SET status = $2, reviewer_id = $3, review_note = $4, reviewed_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING ${COLUMNS}`,
+    [id, status, reviewerId, reviewNote || null]
+  );
+  return rows[0] || null;
+};
+
+module.exports = {
+  create,
+  findById,
+  listByUser,
+  listByStatus,
+  review
+};
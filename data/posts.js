@@ -0,0 +1,30 @@
+// In-memory storage for posts (used by the memory driver)
+const posts = [
+  {
+    id: 1,
+    userId: 1,
+    content: 'Excited to connect with my fans on StarConnect!',
+    image: null,
+    timestamp: new Date(),
+    reactions: [], // { userId, type, reactedAt } per user who reacted
+    comments: [
+      {
+        id: 1,
+        userId: 2,
+        text: 'Welcome to StarConnect! Looking forward to your posts!',
+        timestamp: new Date(Date.now() - 300000) // 5 minutes ago
+      }
+    ]
+  },
+  {
+    id: 2,
+    userId: 2,
+    content: 'Just joined StarConnect to follow my favorite celebrities!',
+    image: null,
+    timestamp: new Date(),
+    reactions: [],
+    comments: []
+  }
+];
+
+module.exports = posts;
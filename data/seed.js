@@ -0,0 +1,80 @@
+// Load the demo users and posts from data/users.js and data/posts.js into
+// PostgreSQL, so a fresh database matches the memory driver.
+// Usage: node data/seed.js (after node data/migrate.js)
+require('dotenv').config();
+const { pool, transaction } = require('./postgres/pool');
+const seedUsers = require('./users');
+const seedPosts = require('./posts');
+
+const seed = async () => {
+  await transaction(async (client) => {
+    for (const user of seedUsers) {
+      await client.query(
+        `INSERT INTO users (id, email, password_hash, type, name, handle) VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (id) DO NOTHING`,
+        [user.id, user.email, user.passwordHash, user.type, user.name, user.handle]
+      );
+    }
+
+    for (const user of seedUsers) {
+      for (const followeeId of user.following || []) {
+        await client.query(
+          'INSERT INTO follows (follower_id, followee_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [user.id, followeeId]
+        );
+      }
+    }
+
+    for (const post of seedPosts) {
+      await client.query(
+        `INSERT INTO posts (id, user_id, content, image, created_at) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO NOTHING`,
+        [post.id, post.userId, post.content, post.image, post.timestamp]
+      );
+
+      for (const reaction of post.reactions || []) {
+        await client.query(
+          'INSERT INTO post_reactions (post_id, user_id, type) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+          [post.id, reaction.userId, reaction.type]
+        );
+      }
+
+      for (const comment of post.comments || []) {
+        await client.query(
+          `INSERT INTO comments (id, post_id, user_id, text, created_at) VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (id) DO NOTHING`,
+          [comment.id, post.id, comment.userId, comment.text, comment.timestamp]
+        );
+      }
+    }
+
+    // Start each timeline with the user's own and their followees' posts
+    for (const user of seedUsers) {
+      const authorIds = [user.id, ...(user.following || [])];
+      for (const post of seedPosts.filter(p => authorIds.includes(p.userId))) {
+        await client.query(
+          `INSERT INTO feed_entries (user_id, post_id, author_id, created_at) VALUES ($1, $2, $3, $4)
+           ON CONFLICT DO NOTHING`,
+          [user.id, post.id, post.userId, post.timestamp]
+        );
+      }
+    }
+
+    // Explicit ids do not advance the sequences, so move them past the seed data
+    for (const table of ['users', 'posts', 'comments']) {
+      await client.query(
+        `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE((SELECT MAX(id) FROM ${table}), 1))`
+      );
+    }
+  });
+};
+
+seed()
+  .then(() => {
+    console.log('✅ Seed data loaded');
+  })
+  .catch((error) => {
+    console.error('❌ Seed error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
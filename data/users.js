@@ -1,22 +1,44 @@
-// In-memory storage for users (exported for use in other modules)
+// In-memory storage for users (used by the memory driver)
 const users = [
   {
     id: 1,
     email: 'celeb@example.com',
-    password: '123456', // password: 123456
+    passwordHash: 'scrypt$9c828b23f97268c4844a34bb7718c842$9d7dab0c5bb7ba838e425b7ee3f958b786ce845e4f81be3da8b731a5d41832fabc886ad3228e2b068ed59dd3c2d196c6b6ba9e25863be7a97c5b0d689bc7fbb3', // password: 123456
     type: 'celebrity',
     name: 'John Celebrity',
+    handle: 'john_celebrity',
     followers: [2], // Jane Public follows this celebrity
     following: []
   },
   {
     id: 2,
     email: 'user@example.com',
-    password: '123456', // password: 123456
+    passwordHash: 'scrypt$96ae321f895250a94245e2ec16963beb$a96ff4d4972e37a7042223784ce45f1710a0789eec79ed1ebe154d70c378b25fef96346a26ba3e0bb9a7001d16be4721eee68d1bb63279dec3dd6bf1efe9c7c4', // password: 123456
     type: 'public',
     name: 'Jane Public',
+    handle: 'jane_public',
     followers: [],
     following: [1] // Following John Celebrity
+  },
+  {
+    id: 3,
+    email: 'admin@example.com',
+    passwordHash: 'scrypt$2cf253a4d7128fc76c11038db1625c55$9d401bfb486daa23f0ccf0003d59f224e4778a8e8aa5f939e2bd842462d26e5c499c0ab56142c77eeaf1c69f571aed949a9125bee92b383ed60523a8a7efa71d', // password: 123456
+    type: 'admin',
+    name: 'Ada Admin',
+    handle: 'ada_admin',
+    followers: [],
+    following: []
+  },
+  {
+    id: 4,
+    email: 'mod@example.com',
+    passwordHash: 'scrypt$eb258a8e7ee1ec362e18253edce150d9$d9967d8ece16f7b63d339c92a414e8b0836e62fd1784a65695585d5d2865e5f9fb2680191c73e7e3b99cd567d3c1ceaad1d3522a6f26a0d146630c68e9ebdaf7', // password: 123456
+    type: 'moderator',
+    name: 'Max Moderator',
+    handle: 'max_moderator',
+    followers: [],
+    following: []
   }
 ];
 
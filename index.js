@@ -1,25 +1,40 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 // Import services
-const { connectRedis, disconnectRedis, publishMessage, subscribeToChannel } = require('./services/redis');
+const { connectRedis, disconnectRedis, publishMessage, createAdapterClients } = require('./services/redis');
+const db = require('./data');
+const { connectDatabase, disconnectDatabase } = db;
 const { 
+  isNotificationId,
   registerUserSocket, 
   unregisterUserSocket, 
-  addNotification, 
+  startSocketRegistryHeartbeat,
   getNotifications, 
   getUnreadCount, 
   markAsRead, 
   markAllAsRead,
-  sendNotificationToUser,
-  createPostNotification,
-  createLikeNotification,
-  createCommentNotification
+  deleteNotification,
+  acknowledgeNotifications,
+  resolvePostAvailability
 } = require('./services/notifications');
+const {
+  NOTIFICATION_TYPES,
+  sendMissedNotifications,
+  startHeldNotificationRelease
+} = require('./services/notificationPreferences');
+const { subscribeToNotificationEvents } = require('./services/notificationEvents');
+const { FollowError, followUser, unfollowUser } = require('./services/follows');
+const { FeedError, getFeed } = require('./services/feed');
+const { decodeCursor, isValidTimeCursor, parseLimit } = require('./services/cursor');
+const { startTrashPurgeJob } = require('./services/trash');
+const { startPostScheduler } = require('./services/scheduledPosts');
+const { startNotificationPurgeJob } = require('./services/notificationRetention');
+const { ensureSearchIndex } = require('./services/search');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,16 +45,35 @@ const io = socketIo(server, {
   }
 });
 
+// Share rooms across server instances through Redis (no-op on the in-memory driver)
+const adapterClients = createAdapterClients();
+if (adapterClients) {
+  io.adapter(createAdapter(adapterClients.pubClient, adapterClients.subClient));
+}
+
 // Make io available to routes
 app.set('io', io);
 
-// Connect to Redis
+// Build the search index when it is empty (routes keep it current from there on)
+const buildSearchIndex = async () => {
+  try {
+    const count = await ensureSearchIndex();
+    if (count > 0) {
+      console.log(`🔎 Search index built with ${count} documents`);
+    }
+  } catch (error) {
+    console.error('❌ Error building search index:', error);
+  }
+};
+
+// Connect to the database and Redis
+connectDatabase().then(buildSearchIndex, () => process.exit(1));
 connectRedis();
 
 // Middleware
 app.use(cors());
 
-// Increase payload limits for image uploads (up to 10MB)
+// Payload limits leave room for Base64 images from older clients (uploads go through /api/media)
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf) => {
@@ -62,137 +96,69 @@ app.use((req, res, next) => {
   next();
 });
 
-// Import middleware and data
-const { authenticateToken, JWT_SECRET } = require('./middleware/auth');
-const users = require('./data/users');
+// Import middleware
+const { authenticateToken, verifyAccessToken } = require('./middleware/auth');
 
 // Import routes
+const authRouter = require('./routes/auth');
 const postsRouter = require('./routes/posts');
+const { presentPosts } = postsRouter;
 const usersRouter = require('./routes/users');
+const adminRouter = require('./routes/admin');
+const verificationRouter = require('./routes/verification');
+const mediaRouter = require('./routes/media');
+const searchRouter = require('./routes/search');
+const hashtagsRouter = require('./routes/hashtags');
+const notificationPreferencesRouter = require('./routes/notificationPreferences');
 
 // Use routes
+app.use(authRouter); // /login, /register and /auth/*
 app.use('/api/posts', postsRouter);
 app.use('/api/users', usersRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/verification', verificationRouter);
+app.use('/api/media', mediaRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/hashtags', hashtagsRouter);
+app.use('/api/notifications/preferences', notificationPreferencesRouter);
 
-// Subscribe to Redis channels for real-time updates
-subscribeToChannel('newPost', async (data) => {
-  try {
-    const { post, author } = data;
-    const users = require('./data/users');
-    
-    // Find all users who follow this celebrity
-    const followers = users.filter(user => 
-      user.following && user.following.includes(author.id)
-    );
-    
-    // Create notification for each follower
-    followers.forEach(follower => {
-      const notification = createPostNotification(post, author);
-      addNotification(follower.id, notification);
-      sendNotificationToUser(follower.id, notification, io);
-    });
-    
-    console.log(`📢 Sent new post notifications to ${followers.length} followers`);
-  } catch (error) {
-    console.error('❌ Error handling new post notification:', error);
-  }
-});
-
-subscribeToChannel('newLike', async (data) => {
-  try {
-    const { post, liker, postAuthor } = data;
-    
-    // Don't notify if user likes their own post
-    if (liker.id === postAuthor.id) return;
-    
-    const notification = createLikeNotification(post, liker, postAuthor);
-    addNotification(postAuthor.id, notification);
-    sendNotificationToUser(postAuthor.id, notification, io);
-    
-    console.log(`❤️ Sent like notification to ${postAuthor.name}`);
-  } catch (error) {
-    console.error('❌ Error handling like notification:', error);
-  }
-});
-
-subscribeToChannel('newComment', async (data) => {
-  try {
-    const { post, comment, commenter, postAuthor } = data;
-    
-    // Don't notify if user comments on their own post
-    if (commenter.id === postAuthor.id) return;
-    
-    const notification = createCommentNotification(post, comment, commenter, postAuthor);
-    addNotification(postAuthor.id, notification);
-    sendNotificationToUser(postAuthor.id, notification, io);
-    
-    console.log(`💬 Sent comment notification to ${postAuthor.name}`);
-  } catch (error) {
-    console.error('❌ Error handling comment notification:', error);
-  }
-});
+// Subscribe to the Redis channels that turn into notifications
+subscribeToNotificationEvents(io);
 
 // Routes
 
-// POST /login - User authentication
-app.post('/login', async (req, res) => {
+// GET /api/notifications - Get user notifications, latest activity first
+// (?limit=, ?cursor= from the previous page, ?type=, ?unread=true). Those
+// about deleted posts are flagged as no longer available.
+app.get('/api/notifications', authenticateToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    const userId = req.user.userId;
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor, isNotificationId))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
-    // Find user by email
-    const user = users.find(u => u.email === email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const type = req.query.type || null;
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of ${NOTIFICATION_TYPES.join(', ')}` });
     }
-
-    // Check password (plain string comparison for demo)
-    if (password !== user.password) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (req.query.unread !== undefined && !['true', 'false'].includes(req.query.unread)) {
+      return res.status(400).json({ error: 'Unread must be true or false' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        type: user.type,
-        name: user.name 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        type: user.type,
-        name: user.name
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// GET /api/notifications - Get user notifications
-app.get('/api/notifications', authenticateToken, (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const notifications = getNotifications(userId);
-    const unreadCount = getUnreadCount(userId);
+    const page = await getNotifications(userId, { limit, cursor, type, unreadOnly: req.query.unread === 'true' });
+    const notifications = await resolvePostAvailability(page.notifications);
+    const unreadCount = await getUnreadCount(userId);
     
     res.json({
       success: true,
       notifications,
-      unreadCount
+      unreadCount,
+      pagination: {
+        nextCursor: page.nextCursor,
+        limit
+      }
     });
   } catch (error) {
     console.error('Get notifications error:', error);
@@ -201,12 +167,12 @@ app.get('/api/notifications', authenticateToken, (req, res) => {
 });
 
 // POST /api/notifications/:id/read - Mark notification as read
-app.post('/api/notifications/:id/read', authenticateToken, (req, res) => {
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
     const notificationId = req.params.id;
     
-    const success = markAsRead(userId, notificationId);
+    const success = await markAsRead(userId, notificationId);
     
     if (success) {
       res.json({
@@ -223,14 +189,15 @@ app.post('/api/notifications/:id/read', authenticateToken, (req, res) => {
 });
 
 // POST /api/notifications/read-all - Mark all notifications as read
-app.post('/api/notifications/read-all', authenticateToken, (req, res) => {
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    markAllAsRead(userId);
+    const marked = await markAllAsRead(userId);
     
     res.json({
       success: true,
-      message: 'All notifications marked as read'
+      message: 'All notifications marked as read',
+      marked
     });
   } catch (error) {
     console.error('Mark all notifications read error:', error);
@@ -238,6 +205,24 @@ app.post('/api/notifications/read-all', authenticateToken, (req, res) => {
   }
 });
 
+// DELETE /api/notifications/:id - Delete a notification
+app.delete('/api/notifications/:id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deleteNotification(req.user.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Legacy routes for backward compatibility
 // GET /posts - Get all posts (redirects to new API)
 app.get('/posts', authenticateToken, (req, res) => {
@@ -252,106 +237,91 @@ app.post('/posts', authenticateToken, (req, res) => {
 });
 
 // GET /feed - Get personalized feed for the authenticated user
-app.get('/feed', authenticateToken, (req, res) => {
+// (?rank=chronological|engagement, ?limit=, ?cursor= from the previous page)
+app.get('/feed', authenticateToken, async (req, res) => {
   try {
-    const user = users.find(u => u.id === req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
-    // Get posts from the posts router
-    const { posts } = require('./routes/posts');
-    
-    // Get posts from users that the current user follows
-    const followingIds = user.following;
-    const feedPosts = posts
-      .filter(post => followingIds.includes(post.userId) || post.userId === req.user.userId)
-      .map(post => {
-        const postUser = users.find(u => u.id === post.userId);
-        return {
-          ...post,
-          userName: postUser ? postUser.name : 'Unknown User',
-          userType: postUser ? postUser.type : 'unknown'
-        };
-      })
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const rank = req.query.rank || 'chronological';
+    const { posts, nextCursor } = await getFeed(req.user.userId, {
+      rank,
+      limit: parseLimit(req.query.limit),
+      cursor
+    });
+
+    const feedPosts = await presentPosts(posts, req.user.userId);
 
     res.json({
       success: true,
-      posts: feedPosts
+      rank,
+      posts: feedPosts,
+      nextCursor
     });
   } catch (error) {
+    if (error instanceof FeedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get feed error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /follow - Follow or unfollow a user
-app.post('/follow', authenticateToken, (req, res) => {
+// POST /follow and POST /unfollow - Legacy follow endpoints ({ targetUserId } in the body),
+// same rules as POST/DELETE /api/users/:userId/follow
+const legacyFollowHandler = (action) => async (req, res) => {
   try {
     const { targetUserId } = req.body;
 
-    if (!targetUserId) {
+    if (targetUserId === undefined || targetUserId === null || targetUserId === '') {
       return res.status(400).json({ error: 'Target user ID is required' });
     }
 
-    const currentUser = users.find(u => u.id === req.user.userId);
-    const targetUser = users.find(u => u.id === parseInt(targetUserId));
-
-    if (!currentUser || !targetUser) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (currentUser.id === targetUser.id) {
-      return res.status(400).json({ error: 'Cannot follow yourself' });
+    // Older clients send the ID as a number or a numeric string
+    const targetId = typeof targetUserId === 'string' && /^\d+$/.test(targetUserId) ? Number(targetUserId) : targetUserId;
+    if (!Number.isInteger(targetId) || targetId < 1) {
+      return res.status(400).json({ error: 'Target user ID must be a positive integer' });
     }
 
-    const isFollowing = currentUser.following.includes(targetUser.id);
-
-    if (isFollowing) {
-      // Unfollow
-      currentUser.following = currentUser.following.filter(id => id !== targetUser.id);
-      targetUser.followers = targetUser.followers.filter(id => id !== currentUser.id);
-    } else {
-      // Follow
-      currentUser.following.push(targetUser.id);
-      targetUser.followers.push(currentUser.id);
-    }
-
-    // Emit socket event for real-time updates
-    io.emit('followUpdate', {
-      followerId: currentUser.id,
-      followerName: currentUser.name,
-      targetUserId: targetUser.id,
-      targetUserName: targetUser.name,
-      action: isFollowing ? 'unfollowed' : 'followed'
-    });
+    const change = action === 'followed' ? followUser : unfollowUser;
+    const result = await change(req.user.userId, targetId, io);
 
     res.json({
       success: true,
-      action: isFollowing ? 'unfollowed' : 'followed',
-      following: currentUser.following,
-      followers: targetUser.followers
+      action,
+      changed: result.changed,
+      isFollowing: result.isFollowing,
+      followerCount: result.followerCount
     });
   } catch (error) {
+    if (error instanceof FollowError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Follow error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+app.post('/follow', authenticateToken, legacyFollowHandler('followed'));
+app.post('/unfollow', authenticateToken, legacyFollowHandler('unfollowed'));
 
 // GET /users - Get all users (for following suggestions)
-app.get('/users', authenticateToken, (req, res) => {
+app.get('/users', authenticateToken, async (req, res) => {
   try {
-    const currentUser = users.find(u => u.id === req.user.userId);
-    const otherUsers = users
+    const users = await db.users.list();
+    const followingIds = await db.follows.getFollowingIds(req.user.userId);
+    const otherUsers = await Promise.all(users
       .filter(user => user.id !== req.user.userId)
-      .map(user => ({
+      .map(async user => ({
         id: user.id,
         name: user.name,
+        handle: user.handle,
         type: user.type,
-        isFollowing: currentUser.following.includes(user.id),
-        followersCount: user.followers.length
-      }));
+        isFollowing: followingIds.includes(user.id),
+        followersCount: await db.follows.countFollowers(user.id)
+      })));
 
     res.json({
       success: true,
@@ -367,24 +337,28 @@ app.get('/users', authenticateToken, (req, res) => {
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  // Authenticate socket connection
-  socket.on('authenticate', async (token) => {
+  // Authenticate socket connection. A device that reconnects sends
+  // { token, lastNotificationId } to be caught up on what it missed.
+  socket.on('authenticate', async (credentials) => {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
+      const { token, lastNotificationId = null } = typeof credentials === 'string' ? { token: credentials } : (credentials || {});
+      const decoded = await verifyAccessToken(token);
       const userId = decoded.userId;
       
-      // Register user socket
-      registerUserSocket(userId, socket.id);
+      // Register this device's socket
+      const deviceCount = await registerUserSocket(userId, socket.id);
       socket.userId = userId;
       
-      // Join user's personal room
+      // Join user's personal room, plus a session room so logout can sign this socket out
       socket.join(`user_${userId}`);
+      socket.join(`session_${decoded.sid}`);
       
-      // Send current unread notification count
-      const unreadCount = getUnreadCount(userId);
+      // Replay missed notifications, then send the current unread notification count
+      const missed = await sendMissedNotifications(socket, userId, lastNotificationId);
+      const unreadCount = await getUnreadCount(userId);
       socket.emit('notificationCount', { unreadCount });
       
-      console.log(`🔗 User ${userId} authenticated on socket ${socket.id}`);
+      console.log(`🔗 User ${userId} authenticated on socket ${socket.id} (${deviceCount} device(s), ${missed} missed notification(s) replayed)`);
     } catch (error) {
       console.error('❌ Socket authentication error:', error);
       socket.emit('authError', { message: 'Authentication failed' });
@@ -392,14 +366,37 @@ io.on('connection', (socket) => {
   });
 
   socket.on('join', (userId) => {
+    // Notifications are delivered to user rooms, so only allow joining your own
+    if (!socket.userId || parseInt(userId) !== socket.userId) {
+      socket.emit('authError', { message: 'Authenticate before joining a room' });
+      return;
+    }
     socket.join(`user_${userId}`);
     console.log(`User ${userId} joined their room`);
   });
 
-  socket.on('disconnect', () => {
+  // Acknowledge notifications that reached this device: one ID or an array of
+  // them, answered with how many were newly marked delivered
+  socket.on('notificationAck', async (ids, callback) => {
+    if (!socket.userId) {
+      socket.emit('authError', { message: 'Authenticate before acknowledging notifications' });
+      return;
+    }
+
+    try {
+      const delivered = await acknowledgeNotifications(socket.userId, [].concat(ids));
+      if (typeof callback === 'function') {
+        callback({ delivered });
+      }
+    } catch (error) {
+      console.error('❌ Error acknowledging notifications:', error);
+    }
+  });
+
+  socket.on('disconnect', async () => {
     if (socket.userId) {
-      unregisterUserSocket(socket.userId);
-      console.log(`🔌 User ${socket.userId} disconnected from socket ${socket.id}`);
+      const remaining = await unregisterUserSocket(socket.userId, socket.id);
+      console.log(`🔌 User ${socket.userId} disconnected from socket ${socket.id} (${remaining} device(s) left)`);
     } else {
       console.log('User disconnected:', socket.id);
     }
@@ -443,12 +440,34 @@ server.listen(PORT, () => {
   console.log(`📝 Posts API: http://localhost:${PORT}/api/posts`);
   console.log(`👤 Users API: http://localhost:${PORT}/api/users`);
   console.log(`🔔 Notifications API: http://localhost:${PORT}/api/notifications`);
+  console.log(`🔎 Search API: http://localhost:${PORT}/api/search`);
 });
 
+// Purge posts that have outlived the trash retention window
+const trashPurgeJob = startTrashPurgeJob();
+
+// Publish scheduled posts when they are due
+const postScheduler = startPostScheduler((post, author) => postsRouter.announcePost(io, post, author));
+
+// Delete notifications that have outlived the retention window
+const notificationPurgeJob = startNotificationPurgeJob();
+
+// Push notifications held back by quiet hours once they end
+const heldNotificationRelease = startHeldNotificationRelease(io);
+
+// Keep this instance's sockets registered and clear out those of instances that died
+const socketRegistryHeartbeat = startSocketRegistryHeartbeat();
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  clearInterval(trashPurgeJob);
+  clearInterval(postScheduler);
+  clearInterval(notificationPurgeJob);
+  clearInterval(socketRegistryHeartbeat);
+  clearInterval(heldNotificationRelease);
   await disconnectRedis();
+  await disconnectDatabase();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
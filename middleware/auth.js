@@ -1,10 +1,33 @@
 const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_TTL_SECONDS, isSessionRevoked } = require('../services/sessions');
 
-// JWT Secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'starconnect_secret';
+// Development-only fallback; production must configure JWT_SECRET
+const DEV_JWT_SECRET = 'starconnect_secret';
+
+if (process.env.NODE_ENV === 'production' && (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_JWT_SECRET)) {
+  throw new Error('JWT_SECRET must be set to a real secret when NODE_ENV=production');
+}
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET is not set, using the insecure development secret');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+// Verify an access token and check its session against the denylist.
+// Resolves to the decoded payload, rejects when the token is not usable.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.sid || await isSessionRevoked(decoded.sid)) {
+    throw new Error('Token has been revoked');
+  }
+
+  return decoded;
+};
 
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -12,16 +35,82 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
+  let user;
+  try {
+    user = await verifyAccessToken(token);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// What each user type may do. Route handlers check permissions rather than
+// comparing user types directly.
+const ROLE_PERMISSIONS = {
+  public: [
+    'users:follow',
+    'verification:request'
+  ],
+  celebrity: [
+    'users:follow',
+    'posts:notifyFollowers',
+    'posts:schedule'
+  ],
+  moderator: [
+    'users:follow',
+    'posts:deleteAny',
+    'comments:deleteAny'
+  ],
+  admin: [
+    'users:follow',
+    'posts:deleteAny',
+    'comments:deleteAny',
+    'users:changeType',
+    'verification:review',
+    'auditLog:read'
+  ]
+};
+
+const USER_TYPES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a user (JWT payload or user record) has a permission
+const hasPermission = (user, permission) => {
+  const permissions = ROLE_PERMISSIONS[user && user.type] || [];
+  return permissions.includes(permission);
+};
+
+// Only let users holding a permission through (use after authenticateToken)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Issue a short-lived access token for a user's session
+const signToken = (user, sessionId) => {
+  return jwt.sign(
+    { 
+      userId: user.id, 
+      email: user.email, 
+      type: user.type,
+      name: user.name,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
 };
 
 module.exports = {
   authenticateToken,
+  verifyAccessToken,
+  requirePermission,
+  hasPermission,
+  ROLE_PERMISSIONS,
+  USER_TYPES,
+  signToken,
   JWT_SECRET
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, USER_TYPES } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { revokeUserSessions, disconnectSessionSockets } = require('../services/sessions');
+const { encodeCursor, decodeCursor, parseLimit } = require('../services/cursor');
+const db = require('../data');
+
+// PATCH /api/admin/users/:userId/type - Change a user's type (e.g. verify a celebrity)
+router.patch('/users/:userId/type', authenticateToken, requirePermission('users:changeType'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { type } = req.body;
+
+    if (!USER_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${USER_TYPES.join(', ')}` });
+    }
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot change your own type' });
+    }
+
+    const user = await db.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updatedUser = await db.users.updateType(userId, type);
+
+    // Permissions come from the type in the access token, so sign the user
+    // out everywhere; they get their new permissions when they log back in
+    let revokedSessions = 0;
+    if (type !== user.type) {
+      const sessionIds = await revokeUserSessions(userId);
+      sessionIds.forEach(sessionId => disconnectSessionSockets(req.app.get('io'), sessionId));
+      revokedSessions = sessionIds.length;
+    }
+
+    await recordAudit(req.user, 'user.changeType', { type: 'user', id: userId }, {
+      from: user.type,
+      to: type,
+      revokedSessions
+    });
+
+    res.json({
+      success: true,
+      user: {
+        id: updatedUser.id,
+        name: updatedUser.name,
+        type: updatedUser.type
+      }
+    });
+  } catch (error) {
+    console.error('Change user type error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/audit-log - List audit entries, newest first (?limit=,
+// ?cursor= from the previous page)
+router.get('/audit-log', authenticateToken, requirePermission('auditLog:read'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !Number.isInteger(cursor.id))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const entries = await db.auditLog.list({ limit, beforeId: cursor ? cursor.id : null });
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        nextCursor: entries.length === limit ? encodeCursor({ id: entries[entries.length - 1].id }) : null,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
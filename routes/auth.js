@@ -0,0 +1,293 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, signToken } = require('../middleware/auth');
+const { hashPassword, verifyPassword, validateNewPassword, generateToken, hashToken } = require('../services/passwords');
+const { sendMail } = require('../services/mail');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessionSockets
+} = require('../services/sessions');
+const { indexUser } = require('../services/search');
+const { normalizeHandle, isValidHandle, generateHandle } = require('../services/handles');
+const db = require('../data');
+
+// Reset links are valid for one hour
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Public user fields returned alongside a token
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  type: user.type,
+  name: user.name,
+  handle: user.handle
+});
+
+// Start a session and build the token part of an auth response
+const issueTokens = async (user) => {
+  const { session, refreshToken } = await createSession(user.id);
+  return {
+    token: signToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+};
+
+// POST /register - Create a new public account. handle is optional; one is
+// derived from the name when it is left out.
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name, handle } = req.body;
+
+    if (!email || typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({ error: 'Name cannot exceed 100 characters' });
+    }
+
+    if (handle !== undefined && handle !== null && (typeof handle !== 'string' || !isValidHandle(normalizeHandle(handle)))) {
+      return res.status(400).json({ error: 'Handle must be 3-30 letters, digits or underscores' });
+    }
+
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    if (await db.users.findByEmail(normalizedEmail)) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const normalizedHandle = handle ? normalizeHandle(handle) : await generateHandle(name);
+    if (handle && await db.users.findByHandle(normalizedHandle)) {
+      return res.status(409).json({ error: 'This handle is already taken' });
+    }
+
+    // New accounts always start as public users
+    const user = await db.users.create({
+      email: normalizedEmail,
+      passwordHash: await hashPassword(password),
+      type: 'public',
+      name: name.trim(),
+      handle: normalizedHandle
+    });
+    await indexUser(user);
+
+    res.status(201).json({
+      success: true,
+      ...(await issueTokens(user)),
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /login - User authentication
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    // Find user by email
+    const user = await db.users.findByEmail(normalizeEmail(String(email)));
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Check password against the stored scrypt hash
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    res.json({
+      success: true,
+      ...(await issueTokens(user)),
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auth/refresh - Exchange a refresh token for a new access/refresh token pair
+router.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await db.users.findById(rotated.session.userId);
+    if (!user) {
+      await revokeSession(rotated.session.id);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      success: true,
+      token: signToken(user, rotated.session.id),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auth/logout - Revoke the current session (or all of them with allSessions: true)
+router.post('/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    const { allSessions } = req.body || {};
+
+    if (allSessions) {
+      const sessionIds = await revokeUserSessions(req.user.userId);
+      sessionIds.forEach(sessionId => disconnectSessionSockets(req.app.get('io'), sessionId));
+    } else {
+      await revokeSession(req.user.sid);
+      disconnectSessionSockets(req.app.get('io'), req.user.sid);
+    }
+
+    res.json({
+      success: true,
+      message: allSessions ? 'Logged out of all sessions' : 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auth/change-password - Change the password of the authenticated user
+router.post('/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await db.users.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await db.users.updatePassword(user.id, await hashPassword(newPassword));
+    await db.passwordResets.revokeForUser(user.id);
+
+    // Sign out other devices, keep the session that made the change
+    const sessionIds = await revokeUserSessions(user.id, { except: req.user.sid });
+    sessionIds.forEach(sessionId => disconnectSessionSockets(req.app.get('io'), sessionId));
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auth/forgot-password - Email a password reset link
+router.post('/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await db.users.findByEmail(normalizeEmail(email));
+
+    // Respond the same way whether or not the account exists
+    if (user) {
+      const { token, tokenHash } = generateToken();
+      await db.passwordResets.create({
+        userId: user.id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+      });
+
+      const appUrl = process.env.APP_URL || 'http://localhost:3000';
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your StarConnect password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in one hour.\n\n` +
+          `${appUrl}/reset-password?token=${token}\n\nIf you did not ask for this, you can ignore this email.`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /auth/reset-password - Set a new password using a reset token
+router.post('/auth/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const userId = await db.passwordResets.consume(hashToken(token));
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+    }
+
+    await db.users.updatePassword(userId, await hashPassword(newPassword));
+    await db.passwordResets.revokeForUser(userId);
+    const sessionIds = await revokeUserSessions(userId);
+    sessionIds.forEach(sessionId => disconnectSessionSockets(req.app.get('io'), sessionId));
+
+    res.json({
+      success: true,
+      message: 'Password has been reset'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
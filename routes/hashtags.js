@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { presentPosts } = require('./posts');
+const {
+  TRENDING_WINDOW_HOURS,
+  MAX_TRENDING_WINDOW_HOURS,
+  normalizeHashtag,
+  isValidHashtag
+} = require('../services/hashtags');
+const { encodeCursor, decodeCursor, isValidTimeCursor, parseLimit } = require('../services/cursor');
+const db = require('../data');
+
+// GET /api/hashtags/trending - Most used tags in the last ?hours= (default
+// TRENDING_WINDOW_HOURS), ?limit=
+router.get('/trending', authenticateToken, async (req, res) => {
+  try {
+    const hours = req.query.hours === undefined ? TRENDING_WINDOW_HOURS : Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_TRENDING_WINDOW_HOURS) {
+      return res.status(400).json({ error: `Hours must be a whole number between 1 and ${MAX_TRENDING_WINDOW_HOURS}` });
+    }
+
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const tags = await db.hashtags.trending({ since, limit: parseLimit(req.query.limit, 10, 50) });
+
+    res.json({
+      success: true,
+      windowHours: hours,
+      since,
+      tags
+    });
+  } catch (error) {
+    console.error('Get trending hashtags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/hashtags/:tag/posts - Posts using a tag, newest first (?limit=,
+// ?cursor= from the previous page)
+router.get('/:tag/posts', authenticateToken, async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!isValidHashtag(tag)) {
+      return res.status(400).json({ error: 'Invalid hashtag' });
+    }
+
+    const limit = parseLimit(req.query.limit, 10);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const entries = await db.hashtags.listEntries(tag, {
+      limit,
+      before: cursor ? { timestamp: new Date(cursor.t), id: cursor.id } : null
+    });
+    const posts = await db.posts.findByIds(entries.map(entry => entry.postId));
+    const pagePosts = entries.map(entry => posts.find(post => post.id === entry.postId)).filter(Boolean);
+
+    // The page continues from the index, so posts that cannot be shown do
+    // not end it early
+    const last = entries[entries.length - 1];
+    res.json({
+      success: true,
+      tag,
+      posts: await presentPosts(pagePosts, req.user.userId),
+      pagination: {
+        nextCursor: entries.length === limit ? encodeCursor({ t: new Date(last.timestamp).toISOString(), id: last.postId }) : null,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get hashtag posts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
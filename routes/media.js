@@ -0,0 +1,99 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { MAX_UPLOAD_BYTES, MediaError, isMediaId, storeUpload, toMediaResponse, readMedia } = require('../services/media');
+
+// Uploads are buffered in memory; they are size-capped and go to object storage right away
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Accept a single multipart file in the "file" field
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+// POST /api/media - Upload an image or video (multipart/form-data, field "file")
+router.post('/', authenticateToken, receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required in the "file" field' });
+    }
+
+    const media = await storeUpload(req.user.userId, req.file.buffer);
+    console.log(`🖼️ Media ${media.id} uploaded by ${req.user.name} (${media.mimeType}, ${media.size} bytes)`);
+
+    res.status(201).json({
+      success: true,
+      media: toMediaResponse(media)
+    });
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload media error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Serve stored bytes. Media IDs are random and content never changes, so the
+// URLs are public (usable in <img> tags) and cached for good.
+const serveMedia = (variant) => async (req, res) => {
+  try {
+    const media = await readMedia(req.params.id, variant);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.set({
+      'Content-Type': media.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+      'Accept-Ranges': 'bytes'
+    });
+
+    // Players seek through videos with single byte-range requests
+    const ranges = req.range(media.body.length);
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${media.body.length}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.set('Content-Range', `bytes ${start}-${end}/${media.body.length}`);
+      return res.status(206).send(media.body.subarray(start, end + 1));
+    }
+
+    res.send(media.body);
+  } catch (error) {
+    console.error('Serve media error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Media IDs are UUIDs; anything else cannot exist
+const validateMediaId = (req, res, next) => {
+  if (!isMediaId(req.params.id)) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  next();
+};
+
+// GET /api/media/:id - The original upload
+router.get('/:id', validateMediaId, serveMedia('original'));
+
+// GET /api/media/:id/thumbnail - WebP thumbnail
+router.get('/:id/thumbnail', validateMediaId, serveMedia('thumbnail'));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  PreferencesError,
+  isQuietTime,
+  getPreferences,
+  updatePreferences,
+  mute,
+  unmute
+} = require('../services/notificationPreferences');
+
+// Preferences as the API returns them
+const presentPreferences = ({ types, quietHours, mutedUserIds, mutedPostIds }) => ({
+  types,
+  quietHours,
+  inQuietHours: isQuietTime(quietHours),
+  mutedUserIds,
+  mutedPostIds
+});
+
+// Send a rejected preference change as its status, anything else as a 500
+const handlePreferencesError = (res, error, label) => {
+  if (error instanceof PreferencesError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// GET /api/notifications/preferences - The current user's notification preferences
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: presentPreferences(await getPreferences(req.user.userId))
+    });
+  } catch (error) {
+    handlePreferencesError(res, error, 'Get notification preferences');
+  }
+});
+
+// PATCH /api/notifications/preferences - Turn notification types on or off
+// per channel ({ types: { newPost: { inApp: false, stored: true } } }) and
+// set or clear quiet hours ({ quietHours: { start, end, timezone } | null })
+router.patch('/', authenticateToken, async (req, res) => {
+  try {
+    const { types, quietHours } = req.body || {};
+    if (types === undefined && quietHours === undefined) {
+      return res.status(400).json({ error: 'Nothing to update (expected types or quietHours)' });
+    }
+
+    const preferences = await updatePreferences(req.user.userId, { types, quietHours });
+
+    res.json({
+      success: true,
+      preferences: presentPreferences(preferences)
+    });
+  } catch (error) {
+    handlePreferencesError(res, error, 'Update notification preferences');
+  }
+});
+
+// Mute or unmute a user or post for the current user (idempotent)
+const muteHandler = (targetType, muted) => async (req, res) => {
+  try {
+    const targetId = parseInt(req.params.targetId);
+    if (!Number.isInteger(targetId)) {
+      return res.status(400).json({ error: `Invalid ${targetType} ID` });
+    }
+
+    const changed = muted
+      ? await mute(req.user.userId, targetType, targetId)
+      : await unmute(req.user.userId, targetType, targetId);
+
+    res.json({
+      success: true,
+      muted,
+      changed
+    });
+  } catch (error) {
+    handlePreferencesError(res, error, `${muted ? 'Mute' : 'Unmute'} ${targetType}`);
+  }
+};
+
+// POST/DELETE /api/notifications/preferences/muted-users/:targetId - Stop or
+// resume notifications caused by a user
+router.post('/muted-users/:targetId', authenticateToken, muteHandler('user', true));
+router.delete('/muted-users/:targetId', authenticateToken, muteHandler('user', false));
+
+// POST/DELETE /api/notifications/preferences/muted-posts/:targetId - Stop or
+// resume notifications about a post
+router.post('/muted-posts/:targetId', authenticateToken, muteHandler('post', true));
+router.delete('/muted-posts/:targetId', authenticateToken, muteHandler('post', false));
+
+module.exports = router;
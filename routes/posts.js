@@ -1,36 +1,172 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, hasPermission, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
 const { publishMessage } = require('../services/redis');
+const { encodeCursor, decodeCursor, isValidTimeCursor, parseLimit } = require('../services/cursor');
+const { MAX_IMAGE_BYTES, MediaError, isMediaId, storeDataUrl, toMediaResponse } = require('../services/media');
+const { REACTIONS, REACTION_TYPES, isReactionType } = require('../services/reactions');
+const { TRASH_RETENTION_DAYS, purgeAt, isRestorable } = require('../services/trash');
+const search = require('../services/search');
+const { extractHashtags } = require('../services/hashtags');
+const { extractMentions } = require('../services/handles');
+const db = require('../data');
 
-// In-memory storage for posts (exported for use in other modules)
-const posts = [
-  {
-    id: 1,
-    userId: 1,
-    content: 'Excited to connect with my fans on StarConnect!',
-    image: null,
-    timestamp: new Date(),
-    likes: [], // Array of user IDs who liked this post
-    comments: [
-      {
-        id: 1,
-        userId: 2,
-        text: 'Welcome to StarConnect! Looking forward to your posts!',
-        timestamp: new Date(Date.now() - 300000) // 5 minutes ago
-      }
-    ]
-  },
-  {
-    id: 2,
-    userId: 2,
-    content: 'Just joined StarConnect to follow my favorite celebrities!',
-    image: null,
-    timestamp: new Date(),
-    likes: [],
-    comments: []
-  }
-];
+const MAX_ATTACHMENTS = 10;
+
+// Load the users behind a set of posts, comments or reactions, keyed by ID
+const loadUsersForPosts = async (items) => {
+  const ids = new Set(items.map(item => item.userId));
+  const users = await db.users.findByIds([...ids]);
+  return new Map(users.map(user => [user.id, user]));
+};
+
+// Swap the stored media records of a post's attachments for their public
+// representation. image keeps the URL of the first image for clients that
+// predate attachments.
+const presentAttachments = (post) => {
+  const attachments = (post.attachments || []).map(toMediaResponse);
+  const firstImage = attachments.find(attachment => attachment.type === 'image');
+
+  return {
+    ...post,
+    image: firstImage ? firstImage.url : post.image,
+    attachments
+  };
+};
+
+// Attach author information and the viewer's own reaction (from a Map of
+// postId -> type) to a post. Comments are not inlined, only counted; they are
+// paged through GET /api/posts/:id/comments.
+const enrichPost = (post, usersById, myReactions = new Map()) => {
+  const user = usersById.get(post.userId);
+
+  return {
+    ...presentAttachments(post),
+    hashtags: extractHashtags(post.content),
+    mentions: extractMentions(post.content),
+    myReaction: myReactions.get(post.id) || null,
+    userName: user ? user.name : 'Unknown User',
+    userHandle: user ? user.handle : null,
+    userType: user ? user.type : 'unknown'
+  };
+};
+
+// Enrich a list of posts as seen by a user
+const presentPosts = async (posts, viewerId) => {
+  const [usersById, myReactions] = await Promise.all([
+    loadUsersForPosts(posts),
+    db.reactions.findByUser(viewerId, posts.map(post => post.id))
+  ]);
+  return posts.map(post => enrichPost(post, usersById, myReactions));
+};
+
+// Public representation of a comment with its author
+const enrichComment = (comment, usersById) => {
+  const commentUser = usersById.get(comment.userId);
+  return {
+    id: comment.id,
+    postId: comment.postId,
+    parentId: comment.parentId,
+    userId: comment.userId,
+    text: comment.text,
+    timestamp: comment.timestamp,
+    editedAt: comment.editedAt,
+    hashtags: extractHashtags(comment.text),
+    mentions: extractMentions(comment.text),
+    user: {
+      id: commentUser?.id || comment.userId,
+      name: commentUser?.name || 'Unknown User',
+      handle: commentUser?.handle || null,
+      avatar: null
+    }
+  };
+};
+
+// Nest replies under the comments they answer
+const buildThreads = (topLevel, replies, usersById) => {
+  const nodes = new Map();
+  [...topLevel, ...replies].forEach(comment => {
+    nodes.set(comment.id, { ...enrichComment(comment, usersById), replies: [] });
+  });
+
+  replies.forEach(reply => {
+    const parent = nodes.get(reply.parentId);
+    if (parent) {
+      parent.replies.push(nodes.get(reply.id));
+    }
+  });
+
+  return topLevel.map(comment => nodes.get(comment.id));
+};
+
+// Notify the users @mentioned in a post or comment text. The author, users
+// in skipIds (who hear about it another way) and handles already mentioned
+// in previousText (before an edit) are left out.
+const notifyMentions = async (text, { post, comment = null, author, skipIds = [], previousText = '' }) => {
+  const previous = extractMentions(previousText);
+  const handles = extractMentions(text).filter(handle => !previous.includes(handle));
+  const mentioned = await db.users.findByHandles(handles);
+  const mentionedIds = mentioned
+    .map(user => user.id)
+    .filter(id => id !== author.id && !skipIds.includes(id));
+
+  if (mentionedIds.length > 0) {
+    publishMessage('newMention', {
+      post,
+      comment,
+      mentioner: {
+        id: author.id,
+        name: author.name,
+        type: author.type
+      },
+      mentionedIds
+    });
+  }
+};
+
+// Make a newly published post searchable and findable by its hashtags,
+// broadcast it to open clients, publish it to Redis for feed fan-out (and
+// follower notifications for celebrities) and notify the users it mentions
+const announcePost = async (io, post, author) => {
+  await search.indexPost(post);
+  await db.hashtags.setForPost(post.id, extractHashtags(post.content), post.timestamp);
+
+  if (io) {
+    io.emit('newPost', {
+      ...presentAttachments(post),
+      userName: author.name,
+      userType: author.type
+    });
+  }
+
+  publishMessage('newPost', {
+    post,
+    author: {
+      id: author.id,
+      name: author.name,
+      type: author.type
+    }
+  });
+
+  await notifyMentions(post.content, { post, author });
+};
+
+// Load one of the requesting user's drafts or scheduled posts, null when
+// there is no such post
+const findOwnQueuedPost = async (req) => {
+  const post = await db.posts.findById(parseInt(req.params.id), { includeUnpublished: true });
+  return post && post.status !== 'published' && post.userId === req.user.userId ? post : null;
+};
+
+// Cursor pointing after the last post of a full page, null on the last page
+const nextPostsCursor = (pagePosts, limit) => {
+  if (pagePosts.length < limit) {
+    return null;
+  }
+  const last = pagePosts[pagePosts.length - 1];
+  return encodeCursor({ t: new Date(last.timestamp).toISOString(), id: last.id });
+};
 
 // Validation middleware
 const validatePostContent = (req, res, next) => {
@@ -59,105 +195,139 @@ const validatePostContent = (req, res, next) => {
   next();
 };
 
-// Image validation middleware
-const validateImagePayload = (req, res, next) => {
-  const { image } = req.body;
-  
-  if (image && typeof image === 'string') {
-    // Check if it's a Base64 image
-    if (image.startsWith('data:image/')) {
-      // Calculate approximate size (Base64 is ~33% larger than binary)
-      const base64Size = image.length * 0.75; // Approximate binary size
-      const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-      
-      if (base64Size > maxSize) {
-        return res.status(400).json({
-          error: 'Image size exceeds 10MB limit. Please use a smaller image.'
-        });
-      }
-      
-      // Validate Base64 format
-      try {
-        const matches = image.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
-        if (!matches) {
-          return res.status(400).json({
-            error: 'Invalid image format. Please provide a valid Base64 encoded image.'
-          });
-        }
-        
-        const imageType = matches[1].toLowerCase();
-        if (!['jpeg', 'jpg', 'png', 'gif', 'webp'].includes(imageType)) {
-          return res.status(400).json({
-            error: 'Unsupported image format. Please use JPEG, PNG, GIF, or WebP.'
-          });
-        }
-      } catch (error) {
-        return res.status(400).json({
-          error: 'Invalid image data format.'
-        });
-      }
+// Parse a publishAt time, which must lie in the future. Returns { date } or
+// { error }.
+const parsePublishAt = (value) => {
+  const date = new Date(value);
+  if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date)) {
+    return { error: 'publishAt must be a valid date' };
+  }
+  if (date <= new Date()) {
+    return { error: 'publishAt must be in the future' };
+  }
+  return { date };
+};
+
+// Scheduling validation middleware. A post is published right away unless
+// it is saved as a draft (status "draft") or scheduled with a publishAt
+// time. Leaves the status in req.body.status and the Date (or null) in
+// req.body.publishAt.
+const validateSchedule = (req, res, next) => {
+  const { status, publishAt } = req.body;
+
+  if (status !== undefined && status !== null && !['published', 'draft', 'scheduled'].includes(status)) {
+    return res.status(400).json({ error: 'Status must be published, draft or scheduled' });
+  }
+
+  if (publishAt === undefined || publishAt === null) {
+    if (status === 'scheduled') {
+      return res.status(400).json({ error: 'publishAt is required to schedule a post' });
     }
+    req.body.status = status || 'published';
+    req.body.publishAt = null;
+    return next();
   }
-  
+
+  if (status === 'published' || status === 'draft') {
+    return res.status(400).json({ error: `A ${status === 'draft' ? 'draft' : 'published post'} cannot have publishAt` });
+  }
+
+  const { date, error } = parsePublishAt(publishAt);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  req.body.status = 'scheduled';
+  req.body.publishAt = date;
   next();
 };
 
-// GET /api/posts - Get all posts with pagination
-router.get('/', authenticateToken, (req, res) => {
-  try {
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    
-    // Get users for post enrichment
-    const users = require('../data/users');
-    
-    const postsWithUserInfo = posts.map(post => {
-      const user = users.find(u => u.id === post.userId);
-      
-      // Enrich comments with user information
-      const enrichedComments = (post.comments || []).map(comment => {
-        const commentUser = users.find(u => u.id === comment.userId);
-        return {
-          ...comment,
-          user: {
-            id: commentUser?.id || comment.userId,
-            name: commentUser?.name || 'Unknown User',
-            avatar: null
-          }
-        };
+// Comment validation middleware
+const validateCommentText = (req, res, next) => {
+  const { text } = req.body;
+
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    return res.status(400).json({ error: 'Comment text is required' });
+  }
+
+  if (text.length > 500) {
+    return res.status(400).json({ error: 'Comment cannot exceed 500 characters' });
+  }
+
+  req.body.text = text.trim();
+  next();
+};
+
+// Attachment validation middleware. Images and videos are uploaded through
+// POST /api/media and listed by ID, in display order, in "attachments"
+// (mediaId is accepted for a single one). A Base64 data URL in "image" is
+// still accepted from older clients; the route stores it as an upload.
+// Leaves the IDs in req.body.attachments.
+const validateAttachments = (req, res, next) => {
+  const { image, mediaId } = req.body;
+  let { attachments } = req.body;
+
+  if (attachments === undefined || attachments === null) {
+    attachments = mediaId ? [mediaId] : [];
+  } else if (mediaId) {
+    return res.status(400).json({ error: 'Provide either attachments or mediaId, not both' });
+  }
+
+  if (!Array.isArray(attachments)) {
+    return res.status(400).json({ error: 'Attachments must be an array of media IDs' });
+  }
+
+  if (!attachments.every(isMediaId)) {
+    return res.status(400).json({ error: 'Invalid media ID' });
+  }
+
+  if (new Set(attachments).size !== attachments.length) {
+    return res.status(400).json({ error: 'The same media cannot be attached twice' });
+  }
+
+  if (image !== undefined && image !== null) {
+    if (typeof image !== 'string' || !image.startsWith('data:image/')) {
+      return res.status(400).json({
+        error: 'Invalid image format. Upload the image to /api/media and send its ID in attachments.'
       });
-      
-      return {
-        ...post,
-        comments: enrichedComments,
-        userName: user ? user.name : 'Unknown User',
-        userType: user ? user.type : 'unknown'
-      };
-    });
+    }
 
-    // Sort posts by timestamp (newest first)
-    const sortedPosts = postsWithUserInfo.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    // Apply pagination
-    const paginatedPosts = sortedPosts.slice(offset, offset + limit);
-    
-    // Calculate pagination info
-    const totalPosts = sortedPosts.length;
-    const totalPages = Math.ceil(totalPosts / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+    // Calculate approximate size (Base64 is ~33% larger than binary)
+    if (image.length * 0.75 > MAX_IMAGE_BYTES) {
+      return res.status(413).json({
+        error: `Image size exceeds ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB limit. Please use a smaller image.`
+      });
+    }
+  }
+
+  const total = attachments.length + (image ? 1 : 0);
+  if (total > MAX_ATTACHMENTS) {
+    return res.status(400).json({ error: `A post can have at most ${MAX_ATTACHMENTS} attachments` });
+  }
+
+  req.body.attachments = attachments;
+  next();
+};
+
+// GET /api/posts - Get all posts, newest first (?limit=, ?cursor= from the previous page)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 10);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
+    // Keyset pagination, so posts created while paging do not shift later pages
+    const pagePosts = await db.posts.listPage({
+      limit,
+      before: cursor ? { timestamp: new Date(cursor.t), id: cursor.id } : null
+    });
     res.json({
       success: true,
-      posts: paginatedPosts,
+      posts: await presentPosts(pagePosts, req.user.userId),
       pagination: {
-        currentPage: page,
-        totalPages,
-        totalPosts,
-        hasNextPage,
-        hasPrevPage,
+        nextCursor: nextPostsCursor(pagePosts, limit),
         limit
       }
     });
@@ -167,14 +337,11 @@ router.get('/', authenticateToken, (req, res) => {
   }
 });
 
-// POST /api/posts - Create a new post
-router.post('/', authenticateToken, validatePostContent, validateImagePayload, (req, res) => {
+// POST /api/posts - Create a new post, or save it as a draft or scheduled
+// post (status "draft", or a publishAt time)
+router.post('/', authenticateToken, validatePostContent, validateAttachments, validateSchedule, async (req, res) => {
   try {
-    const { content, image, authorId, timestamp } = req.body;
-    
-    // Log payload size for debugging
-    const payloadSize = JSON.stringify(req.body).length;
-    console.log(`Creating post - Payload size: ${(payloadSize / 1024 / 1024).toFixed(2)}MB`);
+    const { content, image, attachments, authorId, timestamp, status, publishAt } = req.body;
     
     // Validate authorId matches the authenticated user (security check)
     if (authorId && parseInt(authorId) !== req.user.userId) {
@@ -182,85 +349,136 @@ router.post('/', authenticateToken, validatePostContent, validateImagePayload, (
         error: 'Author ID does not match authenticated user' 
       });
     }
+
+    if (status !== 'published' && !hasPermission(req.user, 'posts:schedule')) {
+      return res.status(403).json({ error: 'You do not have permission to save drafts or schedule posts' });
+    }
+
+    // Only the uploader can attach a media item
+    const mediaItems = await db.media.findByIds(attachments);
+    if (mediaItems.length !== attachments.length || mediaItems.some(item => item.ownerId !== req.user.userId)) {
+      return res.status(400).json({ error: 'Media not found' });
+    }
+
+    const attachmentIds = [...attachments];
+    if (image) {
+      attachmentIds.push((await storeDataUrl(req.user.userId, image)).id);
+    }
+
+    // A client timestamp may backdate a post but not future-date it; posts
+    // meant for later are scheduled with publishAt
+    const now = new Date();
+    const createdAt = timestamp && new Date(timestamp) < now ? new Date(timestamp) : now;
     
-    // Generate new post ID
-    const newId = posts.length > 0 ? Math.max(...posts.map(p => p.id)) + 1 : 1;
-    
-    // Create new post object with provided timestamp or current time
-    const newPost = {
-      id: newId,
+    const newPost = await db.posts.create({
       userId: req.user.userId, // Always use authenticated user ID for security
       content: content,
-      image: image || null,
-      timestamp: timestamp ? new Date(timestamp) : new Date(), // Use provided timestamp or current time
-      likes: [],
-      comments: []
-    };
-
-    // Add to posts array
-    posts.push(newPost);
+      attachmentIds,
+      timestamp: createdAt,
+      status,
+      publishAt
+    });
     
-    console.log(`Post created successfully - ID: ${newId}, User: ${req.user.name}`);
+    console.log(`Post ${status === 'published' ? 'created' : 'queued'} successfully - ID: ${newPost.id}, User: ${req.user.name}, Status: ${status}`);
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('newPost', {
-        ...newPost,
-        userName: req.user.name,
-        userType: req.user.type
+    // Drafts and scheduled posts are announced once they are published
+    if (status === 'published') {
+      await announcePost(req.app.get('io'), newPost, {
+        id: req.user.userId,
+        name: req.user.name,
+        type: req.user.type
       });
     }
 
-    // Publish to Redis for notifications (only if user is a celebrity)
-    if (req.user.type === 'celebrity') {
-      publishMessage('newPost', {
-        post: newPost,
-        author: {
-          id: req.user.userId,
-          name: req.user.name,
-          type: req.user.type
-        }
-      });
-    }
+    const messages = {
+      published: 'Post created successfully',
+      draft: 'Draft saved successfully',
+      scheduled: 'Post scheduled successfully'
+    };
 
     // Return the created post with user info
     res.status(201).json({
       success: true,
-      message: 'Post created successfully',
+      message: messages[status],
       post: {
-        ...newPost,
+        ...presentAttachments(newPost),
         userName: req.user.name,
         userType: req.user.type
       }
     });
   } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create post error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// GET /api/posts/queue - The requesting user's drafts and scheduled posts
+// (scheduled ones first, in publishing order)
+router.get('/queue', authenticateToken, async (req, res) => {
+  try {
+    const queued = await db.posts.listQueue(req.user.userId);
+
+    res.json({
+      success: true,
+      posts: await presentPosts(queued, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get post queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/posts/trash - The requesting user's deleted posts, most recently
+// deleted first (?limit=, ?cursor= from the previous page)
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 10);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const pagePosts = await db.posts.listDeleted({
+      userId: req.user.userId,
+      limit,
+      before: cursor ? { deletedAt: new Date(cursor.t), id: cursor.id } : null
+    });
+    const enriched = await presentPosts(pagePosts, req.user.userId);
+    const last = pagePosts[pagePosts.length - 1];
+
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      posts: enriched.map(post => ({ ...post, purgeAt: purgeAt(post) })),
+      pagination: {
+        nextCursor: pagePosts.length < limit ? null : encodeCursor({ t: new Date(last.deletedAt).toISOString(), id: last.id }),
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/posts/:id - Get a specific post
-router.get('/:id', authenticateToken, (req, res) => {
+router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
-    const post = posts.find(p => p.id === postId);
+    const post = await db.posts.findById(postId);
     
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Get users for post enrichment
-    const users = require('../data/users');
-    const user = users.find(u => u.id === post.userId);
+    const [enriched] = await presentPosts([post], req.user.userId);
     
     res.json({
       success: true,
-      post: {
-        ...post,
-        userName: user ? user.name : 'Unknown User',
-        userType: user ? user.type : 'unknown'
-      }
+      post: enriched
     });
   } catch (error) {
     console.error('Get post error:', error);
@@ -268,29 +486,215 @@ router.get('/:id', authenticateToken, (req, res) => {
   }
 });
 
-// DELETE /api/posts/:id - Delete a post (only by author)
-router.delete('/:id', authenticateToken, (req, res) => {
+// PATCH /api/posts/:id - Edit a post's content (author only, also for drafts
+// and scheduled posts)
+router.patch('/:id', authenticateToken, validatePostContent, async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
-    const postIndex = posts.findIndex(p => p.id === postId);
-    
-    if (postIndex === -1) {
+    const post = await db.posts.findById(postId, { includeUnpublished: true });
+
+    if (!post || (post.status !== 'published' && post.userId !== req.user.userId)) {
       return res.status(404).json({ error: 'Post not found' });
     }
+
+    if (post.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'You can only edit your own posts' });
+    }
+
+    // Saving unchanged content does not create a revision
+    const updated = post.content === req.body.content
+      ? post
+      : await db.posts.update(postId, { content: req.body.content, editorId: req.user.userId });
+
+    const [enriched] = await presentPosts([updated], req.user.userId);
+
+    if (updated !== post && updated.status === 'published') {
+      await search.indexPost(updated);
+      await db.hashtags.setForPost(postId, extractHashtags(updated.content), updated.timestamp);
+      await notifyMentions(updated.content, {
+        post: updated,
+        author: { id: req.user.userId, name: req.user.name, type: req.user.type },
+        previousText: post.content
+      });
+
+      // Let open clients replace their copy of the post (without the
+      // editor's own reaction, which is not theirs)
+      const io = req.app.get('io');
+      if (io) {
+        io.emit('postUpdated', { ...enriched, myReaction: undefined });
+      }
+    }
+
+    res.json({
+      success: true,
+      post: enriched
+    });
+  } catch (error) {
+    console.error('Edit post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/posts/:id/revisions - Every version of a post's content, oldest first
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const post = await db.posts.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Stored revisions are the replaced versions; each was current from the
+    // previous edit (or the post's creation) until it was replaced
+    const replaced = await db.posts.listRevisions(postId);
+    const revisions = replaced.map((revision, index) => ({
+      version: index + 1,
+      content: revision.content,
+      validFrom: index === 0 ? post.timestamp : replaced[index - 1].replacedAt,
+      validUntil: revision.replacedAt,
+      replacedBy: revision.editorId
+    }));
+    revisions.push({
+      version: replaced.length + 1,
+      content: post.content,
+      validFrom: replaced.length > 0 ? replaced[replaced.length - 1].replacedAt : post.timestamp,
+      validUntil: null,
+      replacedBy: null
+    });
+
+    res.json({
+      success: true,
+      postId,
+      editedAt: post.editedAt,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/posts/:id/schedule - Schedule a draft, or move a scheduled post
+// to a new publishAt time
+router.put('/:id/schedule', authenticateToken, requirePermission('posts:schedule'), async (req, res) => {
+  try {
+    const post = await findOwnQueuedPost(req);
+    if (!post) {
+      return res.status(404).json({ error: 'Draft or scheduled post not found' });
+    }
+
+    const { date, error } = parsePublishAt(req.body.publishAt);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const scheduled = await db.posts.setSchedule(post.id, date);
+    if (!scheduled) {
+      return res.status(409).json({ error: 'This post has already been published' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post scheduled successfully',
+      post: (await presentPosts([scheduled], req.user.userId))[0]
+    });
+  } catch (error) {
+    console.error('Schedule post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/posts/:id/schedule - Cancel a scheduled post; it is kept as a draft
+router.delete('/:id/schedule', authenticateToken, async (req, res) => {
+  try {
+    const post = await findOwnQueuedPost(req);
+    if (!post) {
+      return res.status(404).json({ error: 'Draft or scheduled post not found' });
+    }
+
+    const draft = await db.posts.setSchedule(post.id, null);
+    if (!draft) {
+      return res.status(409).json({ error: 'This post has already been published' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule cancelled, the post was kept as a draft',
+      post: (await presentPosts([draft], req.user.userId))[0]
+    });
+  } catch (error) {
+    console.error('Cancel scheduled post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/posts/:id/publish - Publish a draft or scheduled post now
+router.post('/:id/publish', authenticateToken, async (req, res) => {
+  try {
+    const post = await findOwnQueuedPost(req);
+    if (!post) {
+      return res.status(404).json({ error: 'Draft or scheduled post not found' });
+    }
+
+    const published = await db.posts.publish(post.id);
+    if (!published) {
+      return res.status(409).json({ error: 'This post has already been published' });
+    }
+
+    await announcePost(req.app.get('io'), published, {
+      id: req.user.userId,
+      name: req.user.name,
+      type: req.user.type
+    });
+
+    res.json({
+      success: true,
+      message: 'Post published successfully',
+      post: (await presentPosts([published], req.user.userId))[0]
+    });
+  } catch (error) {
+    console.error('Publish post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/posts/:id - Move a post to the trash (by its author or a
+// moderator); it can be restored until the purge job removes it
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const post = await db.posts.findById(postId, { includeUnpublished: true });
     
-    const post = posts[postIndex];
+    if (!post || (post.status !== 'published' && post.userId !== req.user.userId)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
     
-    // Check if user is the author
-    if (post.userId !== req.user.userId) {
+    // Check if user is the author or allowed to moderate posts
+    const isAuthor = post.userId === req.user.userId;
+    if (!isAuthor && !hasPermission(req.user, 'posts:deleteAny')) {
       return res.status(403).json({ error: 'You can only delete your own posts' });
     }
     
-    // Remove post from array
-    posts.splice(postIndex, 1);
+    // Feed entries stay until the purge; feeds skip posts that are in the trash
+    await db.posts.softDelete(postId, req.user.userId);
+    await search.removePost(postId);
+
+    if (!isAuthor) {
+      await recordAudit(req.user, 'post.delete', { type: 'post', id: postId }, {
+        authorId: post.userId,
+        content: post.content
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io && post.status === 'published') {
+      io.emit('postDeleted', { postId });
+    }
     
     res.json({
       success: true,
-      message: 'Post deleted successfully'
+      message: `Post moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} days.`
     });
   } catch (error) {
     console.error('Delete post error:', error);
@@ -298,104 +702,336 @@ router.delete('/:id', authenticateToken, (req, res) => {
   }
 });
 
-// POST /api/posts/:id/like - Toggle like for a post
-router.post('/:id/like', authenticateToken, (req, res) => {
+// POST /api/posts/:id/restore - Take a post out of the trash within the
+// retention window
+router.post('/:id/restore', authenticateToken, async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
-    const userId = req.user.userId;
-    const post = posts.find(p => p.id === postId);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    const post = await db.posts.findById(postId, { includeDeleted: true, includeUnpublished: true });
+
+    if (!post || !post.deletedAt) {
+      return res.status(404).json({ error: 'Post not found in trash' });
     }
-    if (!post.likes) post.likes = [];
-    const liked = post.likes.includes(userId);
-    if (liked) {
-      post.likes = post.likes.filter(id => id !== userId);
-    } else {
-      post.likes.push(userId);
+
+    // Whoever deleted the post decides: authors undo their own deletions, and
+    // a post removed by moderation stays removed unless a moderator restores it
+    const deletedByAuthor = post.deletedBy === post.userId;
+    const allowed = deletedByAuthor
+      ? post.userId === req.user.userId
+      : hasPermission(req.user, 'posts:deleteAny');
+    if (!allowed) {
+      return res.status(403).json({
+        error: deletedByAuthor ? 'Only the author can restore this post' : 'This post was removed by a moderator'
+      });
     }
-    // Get users for enrichment
-    const users = require('../data/users');
-    const user = users.find(u => u.id === post.userId);
-    const liker = users.find(u => u.id === userId);
-    
-    // Publish to Redis for notifications (only if liking, not unliking)
-    if (!liked && liker && user) {
-      publishMessage('newLike', {
+
+    if (!isRestorable(post)) {
+      return res.status(410).json({ error: 'This post can no longer be restored' });
+    }
+
+    const restored = await db.posts.restore(postId);
+    if (!restored) {
+      return res.status(404).json({ error: 'Post not found in trash' });
+    }
+
+    if (restored.status === 'published') {
+      await search.indexPostWithComments(restored);
+    }
+
+    if (post.userId !== req.user.userId) {
+      await recordAudit(req.user, 'post.restore', { type: 'post', id: postId }, {
+        authorId: post.userId,
+        deletedBy: post.deletedBy
+      });
+    }
+
+    const [enriched] = await presentPosts([restored], req.user.userId);
+
+    const io = req.app.get('io');
+    if (io && restored.status === 'published') {
+      io.emit('postUpdated', { ...enriched, myReaction: undefined });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post restored successfully',
+      post: enriched
+    });
+  } catch (error) {
+    console.error('Restore post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set or clear the requesting user's reaction on a post (type null clears
+// it), notify the post's author about new reactions and reply with the
+// updated post
+const applyReaction = async (req, type) => {
+  const postId = parseInt(req.params.id);
+  const userId = req.user.userId;
+
+  let previous;
+  if (type) {
+    const result = await db.reactions.set(postId, userId, type);
+    if (!result) {
+      return null;
+    }
+    previous = result.previous;
+  } else {
+    if (!(await db.posts.findById(postId))) {
+      return null;
+    }
+    previous = await db.reactions.remove(postId, userId);
+  }
+
+  const post = await db.posts.findById(postId);
+
+  // Publish to Redis for notifications (only for a first reaction, so
+  // switching between reactions does not notify again)
+  if (type && !previous) {
+    const [postAuthor, reactor] = await Promise.all([
+      db.users.findById(post.userId),
+      db.users.findById(userId)
+    ]);
+    if (postAuthor && reactor) {
+      publishMessage('newReaction', {
         post: post,
-        liker: {
-          id: liker.id,
-          name: liker.name,
-          type: liker.type
+        reaction: type,
+        reactor: {
+          id: reactor.id,
+          name: reactor.name,
+          type: reactor.type
         },
         postAuthor: {
-          id: user.id,
-          name: user.name,
-          type: user.type
+          id: postAuthor.id,
+          name: postAuthor.name,
+          type: postAuthor.type
         }
       });
     }
-    
+  }
+
+  const [enriched] = await presentPosts([post], userId);
+  return enriched;
+};
+
+// POST /api/posts/:id/reactions - React to a post ({ type }: like, love,
+// laugh, wow, sad or angry), replacing any earlier reaction
+router.post('/:id/reactions', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.body;
+    if (!isReactionType(type)) {
+      return res.status(400).json({ error: `Reaction type must be one of: ${REACTION_TYPES.join(', ')}` });
+    }
+
+    const post = await applyReaction(req, type);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
     res.json({
       success: true,
-      post: {
-        ...post,
-        userName: user ? user.name : 'Unknown User',
-        userType: user ? user.type : 'unknown'
-      },
-      liked: !liked
+      post
     });
   } catch (error) {
-    console.error('Like post error:', error);
+    console.error('React to post error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// POST /api/posts/:id/comment - Add a comment to a post
-router.post('/:id/comment', authenticateToken, (req, res) => {
+// DELETE /api/posts/:id/reactions - Remove the user's reaction
+router.delete('/:id/reactions', authenticateToken, async (req, res) => {
+  try {
+    const post = await applyReaction(req, null);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json({
+      success: true,
+      post
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/posts/:id/reactions - Who reacted with what, newest first
+// (?type= to filter, ?limit=, ?cursor= from the previous page)
+router.get('/:id/reactions', authenticateToken, async (req, res) => {
   try {
     const postId = parseInt(req.params.id);
-    const { text } = req.body;
-    const userId = req.user.userId;
-    
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment text is required' });
+    const { type } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
-    
-    if (text.length > 500) {
-      return res.status(400).json({ error: 'Comment cannot exceed 500 characters' });
+
+    if (type !== undefined && !isReactionType(type)) {
+      return res.status(400).json({ error: `Reaction type must be one of: ${REACTION_TYPES.join(', ')}` });
     }
-    
-    const post = posts.find(p => p.id === postId);
+
+    const post = await db.posts.findById(postId);
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
-    
-    if (!post.comments) {
-      post.comments = [];
+
+    const reactions = await db.reactions.listByPost(postId, {
+      type,
+      limit,
+      before: cursor ? { reactedAt: new Date(cursor.t), userId: cursor.id } : null
+    });
+    const usersById = await loadUsersForPosts(reactions);
+
+    const last = reactions[reactions.length - 1];
+    res.json({
+      success: true,
+      counts: post.reactionCounts,
+      total: post.reactionCount,
+      reactions: reactions.map(reaction => {
+        const user = usersById.get(reaction.userId);
+        return {
+          type: reaction.type,
+          emoji: REACTIONS[reaction.type],
+          reactedAt: reaction.reactedAt,
+          user: {
+            id: reaction.userId,
+            name: user ? user.name : 'Unknown User',
+            type: user ? user.type : 'unknown'
+          }
+        };
+      }),
+      pagination: {
+        nextCursor: reactions.length === limit
+          ? encodeCursor({ t: new Date(last.reactedAt).toISOString(), id: last.userId })
+          : null,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/posts/:id/like - Toggle a "like" reaction (kept for older
+// clients; a different reaction is replaced by a like)
+router.post('/:id/like', authenticateToken, async (req, res) => {
+  try {
+    const current = await db.reactions.findByUser(req.user.userId, [parseInt(req.params.id)]);
+    const liked = current.get(parseInt(req.params.id)) !== 'like';
+
+    const post = await applyReaction(req, liked ? 'like' : null);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
     }
     
-    // Generate new comment ID
-    const newCommentId = post.comments.length > 0 
-      ? Math.max(...post.comments.map(c => c.id)) + 1 
-      : 1;
+    res.json({
+      success: true,
+      post,
+      liked
+    });
+  } catch (error) {
+    console.error('Like post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/posts/:id/comments - Top-level comments oldest first, each with
+// its replies nested (?limit=, ?cursor= from the previous page)
+router.get('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const post = await db.posts.findById(postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const topLevel = await db.comments.listPage(postId, {
+      limit,
+      after: cursor ? { timestamp: new Date(cursor.t), id: cursor.id } : null
+    });
+    const replies = await db.comments.listReplies(postId, topLevel.map(comment => comment.id));
+    const usersById = await loadUsersForPosts([...topLevel, ...replies]);
+
+    const last = topLevel[topLevel.length - 1];
+    res.json({
+      success: true,
+      comments: buildThreads(topLevel, replies, usersById),
+      pagination: {
+        nextCursor: topLevel.length === limit
+          ? encodeCursor({ t: new Date(last.timestamp).toISOString(), id: last.id })
+          : null,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/posts/:id/comment - Add a comment to a post, or a reply to one
+// of its comments when parentId is given
+router.post('/:id/comment', authenticateToken, validateCommentText, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const { text, parentId } = req.body;
+    const userId = req.user.userId;
+
+    let parent = null;
+    if (parentId !== undefined && parentId !== null) {
+      parent = Number.isInteger(parentId) ? await db.comments.findById(postId, parentId) : null;
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent comment not found on this post' });
+      }
+    }
     
-    const newComment = {
-      id: newCommentId,
+    const newComment = await db.comments.create(postId, {
       userId: userId,
-      text: text.trim(),
-      timestamp: new Date()
-    };
-    
-    post.comments.push(newComment);
+      text,
+      parentId: parent ? parent.id : null
+    });
+    if (!newComment) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    await search.indexComment(newComment);
+    const post = await db.posts.findById(postId);
     
     // Get users for enrichment
-    const users = require('../data/users');
-    const commentUser = users.find(u => u.id === userId);
-    const postUser = users.find(u => u.id === post.userId);
+    const commentUser = await db.users.findById(userId);
+    const postUser = await db.users.findById(post.userId);
+    const parentUser = parent ? await db.users.findById(parent.userId) : null;
     
-    // Publish to Redis for notifications
-    if (commentUser && postUser) {
+    // Publish to Redis for notifications. The author of the answered comment
+    // gets a reply notification instead of the comment one when they also
+    // wrote the post.
+    if (commentUser && parentUser && parentUser.id !== commentUser.id) {
+      publishMessage('newReply', {
+        post: post,
+        comment: newComment,
+        replier: {
+          id: commentUser.id,
+          name: commentUser.name,
+          type: commentUser.type
+        },
+        parentAuthor: {
+          id: parentUser.id,
+          name: parentUser.name,
+          type: parentUser.type
+        }
+      });
+    }
+
+    if (commentUser && postUser && (!parentUser || parentUser.id !== postUser.id)) {
       publishMessage('newComment', {
         post: post,
         comment: newComment,
@@ -411,25 +1047,22 @@ router.post('/:id/comment', authenticateToken, (req, res) => {
         }
       });
     }
+
+    // The post's author and the answered comment's author already hear
+    // about the comment
+    await notifyMentions(newComment.text, {
+      post,
+      comment: newComment,
+      author: { id: userId, name: req.user.name, type: req.user.type },
+      skipIds: [post.userId, parent ? parent.userId : null]
+    });
     
     // Return enriched comment and post
-    const enrichedComment = {
-      ...newComment,
-      user: {
-        id: commentUser?.id || userId,
-        name: commentUser?.name || 'Unknown User',
-        avatar: null // Could be added later
-      }
-    };
-    
+    const usersById = new Map([commentUser, postUser].filter(Boolean).map(user => [user.id, user]));
     res.status(201).json({
       success: true,
-      comment: enrichedComment,
-      post: {
-        ...post,
-        userName: postUser ? postUser.name : 'Unknown User',
-        userType: postUser ? postUser.type : 'unknown'
-      }
+      comment: enrichComment(newComment, usersById),
+      post: (await presentPosts([post], userId))[0]
     });
   } catch (error) {
     console.error('Add comment error:', error);
@@ -437,5 +1070,85 @@ router.post('/:id/comment', authenticateToken, (req, res) => {
   }
 });
 
+// PATCH /api/posts/:id/comments/:commentId - Edit a comment (its author only)
+router.patch('/:id/comments/:commentId', authenticateToken, validateCommentText, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const commentId = parseInt(req.params.commentId);
+    const post = await db.posts.findById(postId);
+    const comment = post ? await db.comments.findById(postId, commentId) : null;
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const updated = await db.comments.update(postId, commentId, { text: req.body.text });
+    await search.indexComment(updated);
+    await notifyMentions(updated.text, {
+      post,
+      comment: updated,
+      author: { id: req.user.userId, name: req.user.name, type: req.user.type },
+      skipIds: [post.userId],
+      previousText: comment.text
+    });
+    const usersById = await loadUsersForPosts([updated]);
+
+    res.json({
+      success: true,
+      comment: enrichComment(updated, usersById)
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/posts/:id/comments/:commentId - Remove a comment and its replies
+// (by the comment's author, the post's author or a moderator)
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const commentId = parseInt(req.params.commentId);
+    const post = await db.posts.findById(postId);
+    const comment = post ? await db.comments.findById(postId, commentId) : null;
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const isOwner = comment.userId === req.user.userId || post.userId === req.user.userId;
+    if (!isOwner && !hasPermission(req.user, 'comments:deleteAny')) {
+      return res.status(403).json({ error: 'You can only delete your own comments or comments on your posts' });
+    }
+
+    const removed = await db.comments.remove(postId, commentId);
+    await search.removeComments(postId, removed);
+
+    // Only moderation is audited, not people tidying their own threads
+    if (!isOwner) {
+      await recordAudit(req.user, 'comment.delete', { type: 'comment', id: commentId }, {
+        postId,
+        authorId: comment.userId,
+        text: comment.text
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
-module.exports.posts = posts; // Export posts array for use in other modules 
\ No newline at end of file
+module.exports.presentPosts = presentPosts;
+module.exports.nextPostsCursor = nextPostsCursor;
+module.exports.enrichComment = enrichComment;
+module.exports.announcePost = announcePost;
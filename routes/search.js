@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { presentPosts, enrichComment } = require('./posts');
+const { SEARCH_TYPES, rankDocuments } = require('../services/search');
+const { encodeCursor, decodeCursor, parseLimit } = require('../services/cursor');
+const db = require('../data');
+
+const MAX_QUERY_LENGTH = 200;
+
+// Load the posts, comments and users behind a page of ranked documents and
+// present them as the viewer sees them. Documents whose target has since
+// disappeared (deleted posts, removed comments) are skipped.
+const loadResults = async (documents, viewerId) => {
+  const postIds = documents.filter(doc => doc.type === 'post').map(doc => parseInt(doc.id));
+  const userIds = documents.filter(doc => doc.type === 'user').map(doc => parseInt(doc.id));
+  const commentDocs = documents.filter(doc => doc.type === 'comment');
+
+  // Comments only show while the post they belong to is visible
+  const commentPostIds = [...new Set(commentDocs.map(doc => doc.postId))];
+  const [posts, users, visibleCommentPosts, following, comments] = await Promise.all([
+    db.posts.findByIds(postIds),
+    db.users.findByIds(userIds),
+    db.posts.findByIds(commentPostIds),
+    db.follows.filterFollowedBy(viewerId, userIds),
+    Promise.all(commentDocs.map(doc => db.comments.findById(doc.postId, parseInt(doc.id.split(':')[1]))))
+  ]);
+
+  const visiblePostIds = new Set(visibleCommentPosts.map(post => post.id));
+  const visibleComments = comments.filter(comment => comment && visiblePostIds.has(comment.postId));
+  const commentUsers = await db.users.findByIds([...new Set(visibleComments.map(comment => comment.userId))]);
+
+  const presentedPosts = new Map((await presentPosts(posts, viewerId)).map(post => [String(post.id), post]));
+  const usersById = new Map(users.map(user => [String(user.id), user]));
+  const commentsById = new Map(visibleComments.map(comment => [`${comment.postId}:${comment.id}`, comment]));
+  const commentUsersById = new Map(commentUsers.map(user => [user.id, user]));
+
+  return documents
+    .map(doc => {
+      if (doc.type === 'post' && presentedPosts.has(doc.id)) {
+        return { type: 'post', score: doc.score, post: presentedPosts.get(doc.id) };
+      }
+      if (doc.type === 'user' && usersById.has(doc.id)) {
+        const user = usersById.get(doc.id);
+        return {
+          type: 'user',
+          score: doc.score,
+          user: { id: user.id, name: user.name, handle: user.handle, type: user.type, isFollowing: following.includes(user.id) }
+        };
+      }
+      if (doc.type === 'comment' && commentsById.has(doc.id)) {
+        return { type: 'comment', score: doc.score, comment: enrichComment(commentsById.get(doc.id), commentUsersById) };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+// GET /api/search - Search posts, comments and users, best matches first
+// (?q=, ?type=posts,comments,users, ?limit=, ?cursor= from the previous page)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    const types = req.query.type ? String(req.query.type).split(',') : SEARCH_TYPES;
+    if (!types.every(type => SEARCH_TYPES.includes(type))) {
+      return res.status(400).json({ error: `Type must be one or more of ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && (typeof cursor.s !== 'number' || typeof cursor.k !== 'string'))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Keyset over (score, key): continue after the last document of the
+    // previous page
+    const ranked = await rankDocuments(q, { types });
+    const start = cursor
+      ? ranked.findIndex(doc => doc.score < cursor.s || (doc.score === cursor.s && `${doc.type}:${doc.id}`.localeCompare(cursor.k) > 0))
+      : 0;
+    const page = start === -1 ? [] : ranked.slice(start, start + limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      success: true,
+      query: q,
+      results: await loadResults(page, req.user.userId),
+      pagination: {
+        nextCursor: page.length === limit && start + limit < ranked.length
+          ? encodeCursor({ s: last.score, k: `${last.type}:${last.id}` })
+          : null,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
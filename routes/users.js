@@ -1,26 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
-const { posts } = require('./posts');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { presentPosts, nextPostsCursor } = require('./posts');
+const { FollowError, followUser, unfollowUser } = require('../services/follows');
+const { encodeCursor, decodeCursor, isValidTimeCursor, parseLimit } = require('../services/cursor');
+const { normalizeHandle } = require('../services/handles');
+const db = require('../data');
 
-// GET /api/users/:userId - Get user profile
-router.get('/:userId', authenticateToken, (req, res) => {
+// GET /api/users/:userId - Get user profile (by ID, or by handle as @handle)
+router.get('/:userId', authenticateToken, async (req, res) => {
   try {
-    const userId = parseInt(req.params.userId);
-    const users = require('../data/users');
-    const user = users.find(u => u.id === userId);
+    const user = req.params.userId.startsWith('@')
+      ? await db.users.findByHandle(normalizeHandle(req.params.userId))
+      : await db.users.findById(parseInt(req.params.userId));
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    const userId = user.id;
     
-    // Get user's posts
-    const userPosts = posts.filter(p => p.userId === userId);
+    const [followerCount, followingCount, postCount] = await Promise.all([
+      db.follows.countFollowers(userId),
+      db.follows.countFollowing(userId),
+      db.posts.countByUser(userId)
+    ]);
     
     // Check if current user is following this user
-    const currentUserId = req.user.userId;
-    const currentUser = users.find(u => u.id === currentUserId);
-    const isFollowing = currentUser && currentUser.following && currentUser.following.includes(userId);
+    const isFollowing = await db.follows.isFollowing(req.user.userId, userId);
     
     // Return user profile without sensitive data
     res.json({
@@ -28,15 +34,14 @@ router.get('/:userId', authenticateToken, (req, res) => {
       user: {
         id: user.id,
         name: user.name,
+        handle: user.handle,
         type: user.type,
-        followers: user.followers || [],
-        following: user.following || [],
-        followerCount: (user.followers || []).length,
-        followingCount: (user.following || []).length,
-        posts: userPosts.length
+        followerCount,
+        followingCount,
+        posts: postCount
       },
       isFollowing,
-      canFollow: req.user.type === 'public' && user.type === 'celebrity'
+      canFollow: hasPermission(req.user, 'users:follow') && user.id !== req.user.userId
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -44,117 +49,138 @@ router.get('/:userId', authenticateToken, (req, res) => {
   }
 });
 
-// POST /api/users/:userId/follow - Follow a user
-router.post('/:userId/follow', authenticateToken, (req, res) => {
+// Page through followers or following of :userId as user summaries, with the
+// viewer's relationship to each listed user
+const listConnections = (direction) => async (req, res) => {
   try {
-    const targetUserId = parseInt(req.params.userId);
-    const currentUserId = req.user.userId;
-    
-    // Get users
-    const users = require('../data/users');
-    const currentUser = users.find(u => u.id === currentUserId);
-    const targetUser = users.find(u => u.id === targetUserId);
-    
-    if (!targetUser) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    if (!currentUser) {
-      return res.status(404).json({ error: 'Current user not found' });
-    }
-    
-    // Only public users can follow celebrities
-    if (currentUser.type !== 'public' || targetUser.type !== 'celebrity') {
-      return res.status(403).json({ error: 'Only public users can follow celebrities' });
+    const userId = parseInt(req.params.userId);
+    const viewerId = req.user.userId;
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
-    
-    // Check if already following
-    if (!currentUser.following) currentUser.following = [];
-    if (!targetUser.followers) targetUser.followers = [];
-    
-    const isFollowing = currentUser.following.includes(targetUserId);
-    
-    if (isFollowing) {
-      // Unfollow
-      currentUser.following = currentUser.following.filter(id => id !== targetUserId);
-      targetUser.followers = targetUser.followers.filter(id => id !== currentUserId);
-    } else {
-      // Follow
-      currentUser.following.push(targetUserId);
-      targetUser.followers.push(currentUserId);
+
+    if (!(await db.users.findById(userId))) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    
+
+    const list = direction === 'followers' ? db.follows.listFollowers : db.follows.listFollowing;
+    const edges = await list(userId, {
+      limit,
+      before: cursor ? { followedAt: new Date(cursor.t), userId: cursor.id } : null
+    });
+
+    const ids = edges.map(edge => edge.userId);
+    const [users, viewerFollows, followsViewer] = await Promise.all([
+      db.users.findByIds(ids),
+      db.follows.filterFollowedBy(viewerId, ids),
+      db.follows.filterFollowersOf(viewerId, ids)
+    ]);
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    const summaries = edges
+      .filter(edge => usersById.has(edge.userId))
+      .map(edge => {
+        const user = usersById.get(edge.userId);
+        const isFollowing = viewerFollows.includes(user.id);
+        const followsYou = followsViewer.includes(user.id);
+        return {
+          id: user.id,
+          name: user.name,
+          handle: user.handle,
+          type: user.type,
+          followedAt: edge.followedAt,
+          isFollowing,
+          followsYou,
+          isMutual: isFollowing && followsYou
+        };
+      });
+
+    const last = edges[edges.length - 1];
     res.json({
       success: true,
-      isFollowing: !isFollowing,
-      followerCount: targetUser.followers.length,
-      message: isFollowing ? 'Unfollowed successfully' : 'Followed successfully'
+      users: summaries,
+      nextCursor: edges.length === limit
+        ? encodeCursor({ t: new Date(last.followedAt).toISOString(), id: last.userId })
+        : null
     });
   } catch (error) {
-    console.error('Follow user error:', error);
+    console.error(`Get ${direction} error:`, error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+// GET /api/users/:userId/followers - Users following :userId (?limit=&cursor=)
+router.get('/:userId/followers', authenticateToken, listConnections('followers'));
+
+// GET /api/users/:userId/following - Users :userId follows (?limit=&cursor=)
+router.get('/:userId/following', authenticateToken, listConnections('following'));
 
-// GET /api/users/:userId/posts - Get user's posts
-router.get('/:userId/posts', authenticateToken, (req, res) => {
+// Send the outcome of a follow/unfollow, mapping rule violations to their status
+const handleFollowError = (res, error, label) => {
+  if (error instanceof FollowError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// POST /api/users/:userId/follow - Follow a user (idempotent)
+router.post('/:userId/follow', authenticateToken, async (req, res) => {
   try {
-    const userId = parseInt(req.params.userId);
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    
-    // Get users for post enrichment
-    const users = require('../data/users');
-    
-    // Filter posts by user
-    const userPosts = posts.filter(p => p.userId === userId);
+    const targetUserId = parseInt(req.params.userId);
+    const result = await followUser(req.user.userId, targetUserId, req.app.get('io'));
     
-    const postsWithUserInfo = userPosts.map(post => {
-      const user = users.find(u => u.id === post.userId);
-      
-      // Enrich comments with user information
-      const enrichedComments = (post.comments || []).map(comment => {
-        const commentUser = users.find(u => u.id === comment.userId);
-        return {
-          ...comment,
-          user: {
-            id: commentUser?.id || comment.userId,
-            name: commentUser?.name || 'Unknown User',
-            avatar: null
-          }
-        };
-      });
-      
-      return {
-        ...post,
-        comments: enrichedComments,
-        userName: user ? user.name : 'Unknown User',
-        userType: user ? user.type : 'unknown'
-      };
+    res.json({
+      success: true,
+      isFollowing: result.isFollowing,
+      followerCount: result.followerCount,
+      message: result.changed ? 'Followed successfully' : 'Already following'
     });
+  } catch (error) {
+    handleFollowError(res, error, 'Follow user');
+  }
+});
 
-    // Sort posts by timestamp (newest first)
-    const sortedPosts = postsWithUserInfo.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    // Apply pagination
-    const paginatedPosts = sortedPosts.slice(offset, offset + limit);
+// DELETE /api/users/:userId/follow - Unfollow a user (idempotent)
+router.delete('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId);
+    const result = await unfollowUser(req.user.userId, targetUserId, req.app.get('io'));
     
-    // Calculate pagination info
-    const totalPosts = sortedPosts.length;
-    const totalPages = Math.ceil(totalPosts / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+    res.json({
+      success: true,
+      isFollowing: result.isFollowing,
+      followerCount: result.followerCount,
+      message: result.changed ? 'Unfollowed successfully' : 'Not following'
+    });
+  } catch (error) {
+    handleFollowError(res, error, 'Unfollow user');
+  }
+});
 
+// GET /api/users/:userId/posts - Get user's posts, newest first (?limit=, ?cursor=)
+router.get('/:userId/posts', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const limit = parseLimit(req.query.limit, 10);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !isValidTimeCursor(cursor))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const pagePosts = await db.posts.listPage({
+      userIds: [userId],
+      limit,
+      before: cursor ? { timestamp: new Date(cursor.t), id: cursor.id } : null
+    });
     res.json({
       success: true,
-      posts: paginatedPosts,
+      posts: await presentPosts(pagePosts, req.user.userId),
       pagination: {
-        currentPage: page,
-        totalPages,
-        totalPosts,
-        hasNextPage,
-        hasPrevPage,
+        nextCursor: nextPostsCursor(pagePosts, limit),
         limit
       }
     });
@@ -164,4 +190,4 @@ router.get('/:userId/posts', authenticateToken, (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
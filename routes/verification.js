@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { createVerificationNotification } = require('../services/notifications');
+const { deliverNotification } = require('../services/notificationPreferences');
+const { encodeCursor, decodeCursor, parseLimit } = require('../services/cursor');
+const db = require('../data');
+
+const MAX_LINKS = 5;
+
+// Validate the evidence fields of a verification request.
+// Returns { evidence } with the cleaned values, or { error }.
+const validateEvidence = (body) => {
+  const { fullName, category, links, notes } = body;
+
+  if (!fullName || typeof fullName !== 'string' || fullName.trim().length === 0 || fullName.length > 100) {
+    return { error: 'Full name is required and cannot exceed 100 characters' };
+  }
+
+  if (!category || typeof category !== 'string' || category.trim().length === 0 || category.length > 50) {
+    return { error: 'Category is required (e.g. music, film, sports) and cannot exceed 50 characters' };
+  }
+
+  if (!Array.isArray(links) || links.length === 0 || links.length > MAX_LINKS) {
+    return { error: `Provide between 1 and ${MAX_LINKS} links that show who you are` };
+  }
+
+  for (const link of links) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch (error) {
+      return { error: `Invalid link: ${link}` };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: `Links must use http or https: ${link}` };
+    }
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 1000)) {
+    return { error: 'Notes must be a string of at most 1000 characters' };
+  }
+
+  return {
+    evidence: {
+      fullName: fullName.trim(),
+      category: category.trim().toLowerCase(),
+      links,
+      notes: notes ? notes.trim() : null
+    }
+  };
+};
+
+// Approve or reject a request and tell the user about it
+const reviewRequest = async (req, res, status) => {
+  const requestId = parseInt(req.params.id);
+  const { note } = req.body || {};
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    return res.status(400).json({ error: 'Note must be a string of at most 500 characters' });
+  }
+
+  const existing = await db.verificationRequests.findById(requestId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Verification request not found' });
+  }
+
+  // Approval promotes a public user, so it must not demote someone whose
+  // role changed after they asked (a moderator or admin)
+  if (status === 'approved' && existing.status === 'pending') {
+    const user = await db.users.findById(existing.userId);
+    if (user && user.type !== 'public') {
+      return res.status(409).json({ error: `Verification request is stale: the user is now ${user.type}` });
+    }
+  }
+
+  const request = await db.verificationRequests.review(requestId, {
+    status,
+    reviewerId: req.user.userId,
+    reviewNote: note
+  });
+  if (!request) {
+    return res.status(409).json({ error: `Verification request has already been ${existing.status}` });
+  }
+
+  if (status === 'approved') {
+    await db.users.updateType(request.userId, 'celebrity');
+  }
+
+  await recordAudit(req.user, `verification.${status === 'approved' ? 'approve' : 'reject'}`, {
+    type: 'verificationRequest',
+    id: request.id
+  }, { userId: request.userId, note: request.reviewNote });
+
+  await deliverNotification([request.userId], createVerificationNotification(request), req.app.get('io'));
+
+  res.json({
+    success: true,
+    request
+  });
+};
+
+// POST /api/verification/requests - Ask to be verified as a celebrity
+router.post('/requests', authenticateToken, requirePermission('verification:request'), async (req, res) => {
+  try {
+    const { evidence, error } = validateEvidence(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await db.verificationRequests.listByUser(req.user.userId);
+    if (existing.some(request => request.status === 'pending')) {
+      return res.status(409).json({ error: 'You already have a verification request waiting for review' });
+    }
+
+    const request = await db.verificationRequests.create({
+      userId: req.user.userId,
+      evidence
+    });
+
+    res.status(201).json({
+      success: true,
+      request
+    });
+  } catch (error) {
+    console.error('Create verification request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/verification/requests/mine - List the authenticated user's requests
+router.get('/requests/mine', authenticateToken, async (req, res) => {
+  try {
+    const requests = await db.verificationRequests.listByUser(req.user.userId);
+
+    res.json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    console.error('Get own verification requests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/verification/requests - Review queue, oldest first
+// (?status=pending|approved|rejected, ?limit=, ?cursor= from the previous page)
+router.get('/requests', authenticateToken, requirePermission('verification:review'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be pending, approved or rejected' });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && !Number.isInteger(cursor.id))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const requests = await db.verificationRequests.listByStatus({ status, limit, afterId: cursor ? cursor.id : null });
+
+    // Attach the requesting user's public details
+    const users = await db.users.findByIds(requests.map(request => request.userId));
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    res.json({
+      success: true,
+      requests: requests.map(request => {
+        const user = usersById.get(request.userId);
+        return {
+          ...request,
+          user: user ? { id: user.id, name: user.name, email: user.email, type: user.type } : null
+        };
+      }),
+      pagination: {
+        nextCursor: requests.length === limit ? encodeCursor({ id: requests[requests.length - 1].id }) : null,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get verification queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/verification/requests/:id/approve - Approve and promote the user to celebrity
+router.post('/requests/:id/approve', authenticateToken, requirePermission('verification:review'), async (req, res) => {
+  try {
+    await reviewRequest(req, res, 'approved');
+  } catch (error) {
+    console.error('Approve verification request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/verification/requests/:id/reject - Reject a request
+router.post('/requests/:id/reject', authenticateToken, requirePermission('verification:review'), async (req, res) => {
+  try {
+    await reviewRequest(req, res, 'rejected');
+  } catch (error) {
+    console.error('Reject verification request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const db = require('../data');
+
+// Record a privileged action taken by the authenticated user.
+// target is { type, id }, details is any extra JSON-serializable context.
+const recordAudit = async (actor, action, target, details = {}) => {
+  const entry = await db.auditLog.create({
+    actorId: actor.userId,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    details: { actorType: actor.type, ...details }
+  });
+
+  console.log(`🛡️ Audit: user ${actor.userId} (${actor.type}) ${action} ${target.type} ${target.id}`);
+  return entry;
+};
+
+module.exports = {
+  recordAudit
+};
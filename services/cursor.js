@@ -0,0 +1,51 @@
+// Opaque pagination cursors. A cursor is the sort key of the last item on a
+// page, serialized as base64url JSON so clients treat it as a token.
+
+// Encode a cursor object, or null when there is no next page
+const encodeCursor = (value) => {
+  if (!value) {
+    return null;
+  }
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+};
+
+// Decode a cursor from a query string. Returns null when absent and
+// undefined when present but malformed, so routes can answer 400.
+const decodeCursor = (cursor) => {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return null;
+  }
+
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Whether a cursor field holds a timestamp that parses to a valid date
+const isValidTimestamp = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// Whether a decoded cursor is the { t, id } position of a page ordered by
+// time: a valid timestamp and an ID accepted by isValidId (an integer by default)
+const isValidTimeCursor = (cursor, isValidId = Number.isInteger) => {
+  return isValidTimestamp(cursor.t) && isValidId(cursor.id);
+};
+
+// Read ?limit= with a default and an upper bound
+const parseLimit = (limit, defaultLimit = 20, maxLimit = 100) => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return defaultLimit;
+  }
+  return Math.min(parsed, maxLimit);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isValidTimestamp,
+  isValidTimeCursor,
+  parseLimit
+};
@@ -0,0 +1,129 @@
+const { REACTION_TYPES } = require('./reactions');
+
+// Schemas for the payloads published on each Redis channel. publishMessage
+// refuses to send a payload that does not match its channel's schema and
+// subscribers drop malformed events before their handler runs, so handlers
+// can rely on every field they read. Extra fields are allowed (posts and
+// comments travel as stored).
+
+// A payload rejected by validateEvent. errors lists every problem as
+// { path, message }, e.g. { path: 'comment.id', message: 'must be a positive integer' }.
+class EventValidationError extends Error {
+  constructor(channel, errors) {
+    super(`Malformed ${channel} event: ${errors.map(error => `${error.path || '(payload)'} ${error.message}`).join('; ')}`);
+    this.name = 'EventValidationError';
+    this.channel = channel;
+    this.errors = errors;
+  }
+}
+
+// Field validators: each returns the list of errors for a value at a path
+const integer = () => (value, path) => {
+  return Number.isInteger(value) && value > 0 ? [] : [{ path, message: 'must be a positive integer' }];
+};
+
+const string = () => (value, path) => {
+  return typeof value === 'string' && value.length > 0 ? [] : [{ path, message: 'must be a non-empty string' }];
+};
+
+const oneOf = (values) => (value, path) => {
+  return values.includes(value) ? [] : [{ path, message: `must be one of ${values.join(', ')}` }];
+};
+
+const nullable = (validate) => (value, path) => {
+  return value === null ? [] : validate(value, path);
+};
+
+const arrayOf = (validate) => (value, path) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return [{ path, message: 'must be a non-empty array' }];
+  }
+  return value.flatMap((item, index) => validate(item, `${path}[${index}]`));
+};
+
+const object = (shape) => (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ path, message: 'must be an object' }];
+  }
+  return Object.entries(shape).flatMap(([key, validate]) => {
+    return validate(value[key], path ? `${path}.${key}` : key);
+  });
+};
+
+// Shapes shared by several channels
+const post = object({ id: integer(), userId: integer(), content: string() });
+const comment = object({ id: integer(), postId: integer(), userId: integer(), text: string() });
+const user = object({ id: integer(), name: string(), type: string() });
+
+// Checks across fields, run once the shape is valid
+const commentOnPost = ({ post, comment }) => {
+  return comment && comment.postId !== post.id
+    ? [{ path: 'comment.postId', message: `must match post.id (${post.id})` }]
+    : [];
+};
+
+const authorOfPost = (field) => (payload) => {
+  return payload[field].id !== payload.post.userId
+    ? [{ path: `${field}.id`, message: `must match post.userId (${payload.post.userId})` }]
+    : [];
+};
+
+const CHANNEL_SCHEMAS = {
+  newPost: {
+    shape: object({ post, author: user }),
+    checks: [authorOfPost('author')]
+  },
+  newReaction: {
+    shape: object({ post, reaction: oneOf(REACTION_TYPES), reactor: user, postAuthor: user }),
+    checks: [authorOfPost('postAuthor')]
+  },
+  newComment: {
+    shape: object({ post, comment, commenter: user, postAuthor: user }),
+    checks: [commentOnPost, authorOfPost('postAuthor')]
+  },
+  newReply: {
+    shape: object({
+      post,
+      comment: object({ id: integer(), postId: integer(), userId: integer(), parentId: integer(), text: string() }),
+      replier: user,
+      parentAuthor: user
+    }),
+    checks: [commentOnPost]
+  },
+  newMention: {
+    shape: object({ post, comment: nullable(comment), mentioner: user, mentionedIds: arrayOf(integer()) }),
+    checks: [commentOnPost]
+  }
+};
+
+const EVENT_CHANNELS = Object.keys(CHANNEL_SCHEMAS);
+
+// Check a payload against its channel's schema, returns the list of errors
+// (empty when the payload is valid). Channels without a schema are rejected.
+const validateEvent = (channel, payload) => {
+  const schema = CHANNEL_SCHEMAS[channel];
+  if (!schema) {
+    return [{ path: '', message: `has no schema for channel "${channel}"` }];
+  }
+
+  const errors = schema.shape(payload, '');
+  if (errors.length > 0) {
+    return errors;
+  }
+  return schema.checks.flatMap(check => check(payload));
+};
+
+// Throw an EventValidationError unless a payload matches its channel's schema
+const assertValidEvent = (channel, payload) => {
+  const errors = validateEvent(channel, payload);
+  if (errors.length > 0) {
+    throw new EventValidationError(channel, errors);
+  }
+};
+
+module.exports = {
+  EVENT_CHANNELS,
+  EventValidationError,
+  validateEvent,
+  assertValidEvent
+};
@@ -0,0 +1,143 @@
+const db = require('../data');
+const { encodeCursor, isValidTimestamp, isValidTimeCursor } = require('./cursor');
+
+// Home feeds are precomputed: every post published on the newPost channel is
+// fanned out into its followers' timelines (db.feedEntries), so reading a
+// feed never scans other users' posts.
+const RANKING_MODES = ['chronological', 'engagement'];
+const FANOUT_BATCH_SIZE = 1000;
+const BACKFILL_LIMIT = parseInt(process.env.FEED_BACKFILL_LIMIT) || 50;
+// How many recent timeline entries the engagement ranking considers
+const RANK_WINDOW = parseInt(process.env.FEED_RANK_WINDOW) || 200;
+
+// Rejected feed request, carries the HTTP status the route should use
+class FeedError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'FeedError';
+    this.status = status;
+  }
+}
+
+const toEntry = (userId, post) => ({
+  userId,
+  postId: post.id,
+  authorId: post.userId,
+  createdAt: post.timestamp
+});
+
+// Write a new post into its author's and followers' timelines
+const fanOutPost = async (post, followerIds) => {
+  const readerIds = [post.userId, ...followerIds.filter(id => id !== post.userId)];
+
+  for (let i = 0; i < readerIds.length; i += FANOUT_BATCH_SIZE) {
+    const batch = readerIds.slice(i, i + FANOUT_BATCH_SIZE);
+    await db.feedEntries.addMany(batch.map(userId => toEntry(userId, post)));
+  }
+
+  return readerIds.length;
+};
+
+// Copy an author's recent posts into a user's timeline (after a follow)
+const backfillAuthor = async (userId, authorId) => {
+  const posts = await db.posts.listPage({ userIds: [authorId], limit: BACKFILL_LIMIT });
+  await db.feedEntries.addMany(posts.map(post => toEntry(userId, post)));
+};
+
+// Remove an author's posts from a user's timeline (after an unfollow)
+const removeAuthor = async (userId, authorId) => {
+  await db.feedEntries.removeByAuthor(userId, authorId);
+};
+
+// Build a timeline from scratch for users who have none yet. Existing data is
+// backfilled by migration 008 and the seed data starts with timelines, so this
+// only catches timelines that were lost or never written.
+const ensureTimeline = async (userId) => {
+  if (await db.feedEntries.count(userId) > 0) {
+    return;
+  }
+
+  const followingIds = await db.follows.getFollowingIds(userId);
+  const posts = await db.posts.listPage({ userIds: [...followingIds, userId], limit: RANK_WINDOW });
+  await db.feedEntries.addMany(posts.map(post => toEntry(userId, post)));
+};
+
+// Engagement-weighted score: reactions and (more heavily) comments, decayed by age
+// so fresh posts can outrank older popular ones
+const engagementScore = (post, now) => {
+  const ageHours = Math.max(0, (now - new Date(post.timestamp)) / (60 * 60 * 1000));
+  const engagement = (post.reactionCount || 0) + 2 * (post.commentCount || 0);
+  return (engagement + 1) / Math.pow(ageHours + 2, 1.5);
+};
+
+// Newest first, keyset-paginated on (timestamp, postId)
+const getChronologicalPage = async (userId, { limit, cursor }) => {
+  if (cursor && (cursor.mode !== 'chronological' || !isValidTimeCursor(cursor))) {
+    throw new FeedError('Invalid cursor', 400);
+  }
+
+  const entries = await db.feedEntries.list(userId, {
+    limit,
+    before: cursor ? { createdAt: new Date(cursor.t), postId: cursor.id } : null
+  });
+  const posts = await db.posts.findByIds(entries.map(entry => entry.postId));
+  const postsById = new Map(posts.map(post => [post.id, post]));
+
+  const last = entries[entries.length - 1];
+  return {
+    posts: entries.map(entry => postsById.get(entry.postId)).filter(Boolean),
+    nextCursor: entries.length === limit
+      ? encodeCursor({ mode: 'chronological', t: new Date(last.createdAt).toISOString(), id: last.postId })
+      : null
+  };
+};
+
+// Ranked by engagementScore over the most recent RANK_WINDOW entries. The
+// cursor pins the snapshot time, so posts arriving while paging do not shift
+// later pages; it then pages by offset through that ranking.
+const getRankedPage = async (userId, { limit, cursor }) => {
+  if (cursor && (cursor.mode !== 'engagement' || !isValidTimestamp(cursor.asOf) || !Number.isInteger(cursor.offset))) {
+    throw new FeedError('Invalid cursor', 400);
+  }
+
+  const asOf = cursor ? new Date(cursor.asOf) : new Date();
+  const offset = cursor ? cursor.offset : 0;
+
+  const entries = await db.feedEntries.list(userId, { limit: RANK_WINDOW, notAfter: asOf });
+  const posts = await db.posts.findByIds(entries.map(entry => entry.postId));
+
+  const ranked = posts
+    .map(post => ({ post, score: engagementScore(post, asOf) }))
+    .sort((a, b) => (b.score - a.score) || (b.post.id - a.post.id));
+  const page = ranked.slice(offset, offset + limit);
+
+  return {
+    posts: page.map(item => ({ ...item.post, score: item.score })),
+    nextCursor: offset + limit < ranked.length
+      ? encodeCursor({ mode: 'engagement', asOf: asOf.toISOString(), offset: offset + limit })
+      : null
+  };
+};
+
+// Get one page of a user's home feed. cursor is the decoded cursor from the
+// previous page (or null), rank is one of RANKING_MODES.
+const getFeed = async (userId, { rank = 'chronological', limit, cursor }) => {
+  if (!RANKING_MODES.includes(rank)) {
+    throw new FeedError(`Ranking mode must be one of: ${RANKING_MODES.join(', ')}`, 400);
+  }
+
+  await ensureTimeline(userId);
+
+  return rank === 'engagement'
+    ? getRankedPage(userId, { limit, cursor })
+    : getChronologicalPage(userId, { limit, cursor });
+};
+
+module.exports = {
+  FeedError,
+  RANKING_MODES,
+  fanOutPost,
+  backfillAuthor,
+  removeAuthor,
+  getFeed
+};
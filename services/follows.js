@@ -0,0 +1,96 @@
+const db = require('../data');
+const { hasPermission } = require('../middleware/auth');
+const { createFollowNotification } = require('./notifications');
+const { deliverNotification } = require('./notificationPreferences');
+const { backfillAuthor, removeAuthor } = require('./feed');
+
+// Rejected follow/unfollow, carries the HTTP status the route should use
+class FollowError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'FollowError';
+    this.status = status;
+  }
+}
+
+// Load both users and apply the follow rules shared by every endpoint
+const loadPair = async (followerId, targetId) => {
+  if (followerId === targetId) {
+    throw new FollowError('Cannot follow yourself', 400);
+  }
+
+  const [follower, target] = await Promise.all([
+    db.users.findById(followerId),
+    db.users.findById(targetId)
+  ]);
+
+  if (!target) {
+    throw new FollowError('User not found', 404);
+  }
+
+  if (!follower) {
+    throw new FollowError('Current user not found', 404);
+  }
+
+  return { follower, target };
+};
+
+// Tell only the two users involved about the change
+const emitFollowUpdate = (io, follower, target, action) => {
+  if (!io) {
+    return;
+  }
+
+  const payload = {
+    followerId: follower.id,
+    followerName: follower.name,
+    targetUserId: target.id,
+    targetUserName: target.name,
+    action
+  };
+
+  io.to(`user_${follower.id}`).to(`user_${target.id}`).emit('followUpdate', payload);
+};
+
+// Follow a user. Following someone you already follow is a no-op and sends
+// nothing; `changed` says whether a new follow was recorded.
+const followUser = async (followerId, targetId, io) => {
+  const { follower, target } = await loadPair(followerId, targetId);
+
+  if (!hasPermission(follower, 'users:follow')) {
+    throw new FollowError('You are not allowed to follow users', 403);
+  }
+
+  const alreadyFollowing = await db.follows.isFollowing(follower.id, target.id);
+  if (!alreadyFollowing) {
+    await db.follows.follow(follower.id, target.id);
+    await backfillAuthor(follower.id, target.id);
+
+    await deliverNotification([target.id], createFollowNotification(follower, target), io, { actorId: follower.id });
+    emitFollowUpdate(io, follower, target, 'followed');
+  }
+
+  const followerCount = await db.follows.countFollowers(target.id);
+  return { isFollowing: true, changed: !alreadyFollowing, followerCount };
+};
+
+// Unfollow a user. Unfollowing someone you do not follow is a no-op.
+const unfollowUser = async (followerId, targetId, io) => {
+  const { follower, target } = await loadPair(followerId, targetId);
+
+  const wasFollowing = await db.follows.isFollowing(follower.id, target.id);
+  if (wasFollowing) {
+    await db.follows.unfollow(follower.id, target.id);
+    await removeAuthor(follower.id, target.id);
+    emitFollowUpdate(io, follower, target, 'unfollowed');
+  }
+
+  const followerCount = await db.follows.countFollowers(target.id);
+  return { isFollowing: false, changed: wasFollowing, followerCount };
+};
+
+module.exports = {
+  FollowError,
+  followUser,
+  unfollowUser
+};
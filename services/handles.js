@@ -0,0 +1,46 @@
+const db = require('../data');
+
+// Handles are unique, lowercase and 3-30 letters, digits or underscores.
+// "@handle" in post or comment text mentions that user.
+const HANDLE_PATTERN = /^[a-z0-9_]{3,30}$/;
+// Not preceded by a word character, so email addresses are not mentions
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_])@([A-Za-z0-9_]{3,30})(?![\p{L}\p{N}_])/gu;
+
+// Lowercase a handle and drop a leading "@"
+const normalizeHandle = (handle) => String(handle).trim().replace(/^@/, '').toLowerCase();
+
+// Check a (normalized) handle against the format rules
+const isValidHandle = (handle) => HANDLE_PATTERN.test(handle);
+
+// The distinct handles mentioned in a text, normalized, in order of appearance
+const extractMentions = (text) => {
+  const handles = [...(text || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+  return [...new Set(handles)];
+};
+
+// Derive an unused handle from a display name ("Zoë Smith" -> "zoe_smith",
+// then "zoe_smith2", ... when taken)
+const generateHandle = async (name) => {
+  const base = (name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 24) || 'user';
+  const stem = base.length >= 3 ? base : `${base}_user`;
+
+  for (let suffix = 1; ; suffix++) {
+    const handle = suffix === 1 ? stem : `${stem}${suffix}`;
+    if (!(await db.users.findByHandle(handle))) {
+      return handle;
+    }
+  }
+};
+
+module.exports = {
+  normalizeHandle,
+  isValidHandle,
+  extractMentions,
+  generateHandle
+};
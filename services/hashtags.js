@@ -0,0 +1,30 @@
+// Hashtags are "#" followed by up to 50 letters, digits or underscores,
+// including at least one letter ("#2024" is not a tag). Tags are compared
+// lowercase.
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&])#([\p{L}\p{N}_]{1,50})(?![\p{L}\p{N}_])/gu;
+
+// How far back trending tags look by default, and the longest allowed window
+const TRENDING_WINDOW_HOURS = parseInt(process.env.TRENDING_WINDOW_HOURS) || 24;
+const MAX_TRENDING_WINDOW_HOURS = 24 * 7;
+
+// Normalize a tag for storage and lookups ("#Paris" -> "paris")
+const normalizeHashtag = (tag) => String(tag).trim().replace(/^#/, '').normalize('NFKC').toLowerCase();
+
+// Check a (normalized) tag against the format rules
+const isValidHashtag = (tag) => /^[\p{L}\p{N}_]{1,50}$/u.test(tag) && /\p{L}/u.test(tag);
+
+// The distinct hashtags in a text, normalized, in order of appearance
+const extractHashtags = (text) => {
+  const tags = [...(text || '').matchAll(HASHTAG_PATTERN)]
+    .map(match => normalizeHashtag(match[1]))
+    .filter(isValidHashtag);
+  return [...new Set(tags)];
+};
+
+module.exports = {
+  TRENDING_WINDOW_HOURS,
+  MAX_TRENDING_WINDOW_HOURS,
+  normalizeHashtag,
+  isValidHashtag,
+  extractHashtags
+};
@@ -0,0 +1,28 @@
+const { client } = require('./redis');
+
+// Run task every intervalMs on one server instance at a time, returns the
+// timer so shutdown can stop it. Whichever instance takes lockKey runs that
+// round; label names the job in error logs.
+const startLockedJob = (lockKey, intervalMs, task, label) => {
+  const run = async () => {
+    try {
+      // The lock expires halfway through the interval so the next run is not blocked
+      const locked = await client.set(lockKey, process.pid, 'EX', Math.ceil(intervalMs / 2000), 'NX');
+      if (!locked) {
+        return;
+      }
+
+      await task();
+    } catch (error) {
+      console.error(`❌ Error running ${label}:`, error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startLockedJob
+};
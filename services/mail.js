@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local stand-in transports. Each transport is an object with an async
+// send({ to, subject, text }) method; a real provider (SMTP, SES, ...) can be
+// plugged in with registerTransport() and selected through MAIL_TRANSPORT.
+const transports = new Map();
+
+// Print messages to the server log
+const consoleTransport = {
+  async send({ to, subject, text }) {
+    console.log(`✉️ Mail to ${to}: ${subject}\n${text}`);
+  }
+};
+
+// Write each message as a JSON file into MAIL_OUTBOX_DIR
+const fileTransport = {
+  async send(message) {
+    const outbox = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    await fs.promises.mkdir(outbox, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const filePath = path.join(outbox, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    console.log(`✉️ Mail to ${message.to} written to ${filePath}`);
+  }
+};
+
+transports.set('console', consoleTransport);
+transports.set('file', fileTransport);
+
+// Register an additional transport
+const registerTransport = (name, transport) => {
+  transports.set(name, transport);
+};
+
+// Send a message through the configured transport
+const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'StarConnect <no-reply@starconnect.local>',
+    ...message
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('../data');
+const { getStorage } = require('./storage');
+
+// Uploaded images and videos are kept in object storage (see
+// services/storage.js); images get a generated WebP thumbnail. Posts only
+// carry media IDs, as an ordered list of attachments.
+const MAX_IMAGE_BYTES = parseInt(process.env.MEDIA_MAX_IMAGE_BYTES) || 10 * 1024 * 1024;
+const MAX_VIDEO_BYTES = parseInt(process.env.MEDIA_MAX_VIDEO_BYTES) || 50 * 1024 * 1024;
+const MAX_VIDEO_SECONDS = parseInt(process.env.MEDIA_MAX_VIDEO_SECONDS) || 60;
+const MAX_UPLOAD_BYTES = Math.max(MAX_IMAGE_BYTES, MAX_VIDEO_BYTES);
+const THUMBNAIL_SIZE = 320;
+// Prefix for media URLs, e.g. a CDN in front of the serving route
+const MEDIA_BASE_URL = process.env.MEDIA_BASE_URL || '';
+
+// ISO BMFF brands that are still images (HEIF/AVIF) rather than video
+const IMAGE_BRANDS = ['heic', 'heix', 'mif1', 'msf1', 'avif', 'avis'];
+
+// Rejected upload, carries the HTTP status the route should use
+class MediaError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'MediaError';
+    this.status = status;
+  }
+}
+
+// Media IDs are random UUIDs
+const isMediaId = (value) => typeof value === 'string' &&
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+const megabytes = (bytes) => Math.round(bytes / 1024 / 1024);
+
+// Work out the media type from the file's leading bytes; the declared
+// content type and file name are not trusted. Returns null when unsupported.
+const sniffMediaType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { kind: 'image', mimeType: 'image/jpeg' };
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { kind: 'image', mimeType: 'image/png' };
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+    return { kind: 'image', mimeType: 'image/gif' };
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return { kind: 'image', mimeType: 'image/webp' };
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (IMAGE_BRANDS.includes(brand)) {
+      return null;
+    }
+    return { kind: 'video', mimeType: brand === 'qt  ' ? 'video/quicktime' : 'video/mp4' };
+  }
+  return null;
+};
+
+// Call visit(type, start, end) for each ISO BMFF box between start and end
+const readBoxes = (buffer, start, end, visit) => {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) {
+        return;
+      }
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset; // box runs to the end of the file
+    }
+
+    if (size < headerSize || offset + size > end) {
+      return;
+    }
+    visit(buffer.toString('latin1', offset + 4, offset + 8), offset + headerSize, offset + size);
+    offset += size;
+  }
+};
+
+// Read duration (seconds) and frame size from an MP4/QuickTime file's moov
+// box. Returns null when the file has no readable movie header.
+const probeVideo = (buffer) => {
+  let duration = null;
+  let width = null;
+  let height = null;
+
+  readBoxes(buffer, 0, buffer.length, (type, start, end) => {
+    if (type !== 'moov') {
+      return;
+    }
+
+    readBoxes(buffer, start, end, (type, start, end) => {
+      if (type === 'mvhd' && start + 32 <= end) {
+        const version = buffer[start];
+        const timescale = buffer.readUInt32BE(start + (version === 1 ? 20 : 12));
+        const length = version === 1 ? Number(buffer.readBigUInt64BE(start + 24)) : buffer.readUInt32BE(start + 16);
+        duration = timescale > 0 ? length / timescale : null;
+      }
+
+      if (type === 'trak') {
+        readBoxes(buffer, start, end, (type, start, end) => {
+          // Track width and height are 16.16 fixed point at the end of tkhd;
+          // audio tracks leave them at zero
+          const sizeOffset = start + (buffer[start] === 1 ? 88 : 76);
+          if (type === 'tkhd' && sizeOffset + 8 <= end && width === null) {
+            const trackWidth = Math.round(buffer.readUInt32BE(sizeOffset) / 65536);
+            const trackHeight = Math.round(buffer.readUInt32BE(sizeOffset + 4) / 65536);
+            if (trackWidth > 0 && trackHeight > 0) {
+              width = trackWidth;
+              height = trackHeight;
+            }
+          }
+        });
+      }
+    });
+  });
+
+  return duration === null ? null : { duration, width, height };
+};
+
+// Check an image and produce its dimensions and thumbnail
+const processImage = async (buffer) => {
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new MediaError(`Image size exceeds ${megabytes(MAX_IMAGE_BYTES)}MB limit. Please use a smaller image.`, 413);
+  }
+
+  try {
+    const metadata = await sharp(buffer).metadata();
+    const thumbnail = await sharp(buffer)
+      .rotate() // honour EXIF orientation
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return { width: metadata.width, height: metadata.height, duration: null, thumbnail };
+  } catch (error) {
+    throw new MediaError('Image data could not be decoded', 400);
+  }
+};
+
+// Check a video against the size and duration limits. Videos have no
+// generated thumbnail (that would need a decoder such as ffmpeg).
+const processVideo = async (buffer) => {
+  if (buffer.length > MAX_VIDEO_BYTES) {
+    throw new MediaError(`Video size exceeds ${megabytes(MAX_VIDEO_BYTES)}MB limit. Please use a shorter clip.`, 413);
+  }
+
+  const info = probeVideo(buffer);
+  if (!info) {
+    throw new MediaError('Video data could not be read', 400);
+  }
+
+  if (info.duration > MAX_VIDEO_SECONDS) {
+    throw new MediaError(`Videos cannot be longer than ${MAX_VIDEO_SECONDS} seconds`, 400);
+  }
+
+  return { width: info.width, height: info.height, duration: Math.round(info.duration * 1000) / 1000, thumbnail: null };
+};
+
+// Validate an uploaded image or video, store it (with a thumbnail for
+// images) and record it
+const storeUpload = async (ownerId, buffer) => {
+  if (!buffer || buffer.length === 0) {
+    throw new MediaError('Uploaded file is empty', 400);
+  }
+
+  const type = sniffMediaType(buffer);
+  if (!type) {
+    throw new MediaError('Unsupported media format. Please use JPEG, PNG, GIF or WebP images, or MP4 or MOV videos.', 415);
+  }
+
+  const { width, height, duration, thumbnail } = type.kind === 'image'
+    ? await processImage(buffer)
+    : await processVideo(buffer);
+
+  const id = crypto.randomUUID();
+  const storageKey = `media/${id}/original`;
+  const thumbnailKey = thumbnail ? `media/${id}/thumbnail.webp` : null;
+
+  const storage = getStorage();
+  await storage.put(storageKey, buffer, { contentType: type.mimeType });
+  if (thumbnail) {
+    await storage.put(thumbnailKey, thumbnail, { contentType: 'image/webp' });
+  }
+
+  return db.media.create({
+    id,
+    ownerId,
+    kind: type.kind,
+    mimeType: type.mimeType,
+    size: buffer.length,
+    width,
+    height,
+    duration,
+    storageKey,
+    thumbnailKey
+  });
+};
+
+// Store a Base64 data URL image (the old post payload) like an upload
+const storeDataUrl = async (ownerId, dataUrl) => {
+  const matches = dataUrl.match(/^data:image\/[a-zA-Z+.-]+;base64,([A-Za-z0-9+/=\s]+)$/);
+  if (!matches) {
+    throw new MediaError('Invalid image format. Please provide a valid Base64 encoded image.', 400);
+  }
+
+  const buffer = Buffer.from(matches[1], 'base64');
+  const type = sniffMediaType(buffer);
+  if (!type || type.kind !== 'image') {
+    throw new MediaError('Unsupported image format. Please use JPEG, PNG, GIF, or WebP.', 415);
+  }
+
+  return storeUpload(ownerId, buffer);
+};
+
+// Public representation of a media record
+const toMediaResponse = (media) => ({
+  id: media.id,
+  type: media.kind,
+  mimeType: media.mimeType,
+  size: media.size,
+  width: media.width,
+  height: media.height,
+  duration: media.duration,
+  url: `${MEDIA_BASE_URL}/api/media/${media.id}`,
+  thumbnailUrl: media.thumbnailKey ? `${MEDIA_BASE_URL}/api/media/${media.id}/thumbnail` : null
+});
+
+// Load the stored bytes of a media item or its thumbnail, null when missing
+const readMedia = async (id, variant) => {
+  const media = await db.media.findById(id);
+  if (!media) {
+    return null;
+  }
+
+  const isThumbnail = variant === 'thumbnail';
+  const key = isThumbnail ? media.thumbnailKey : media.storageKey;
+  const body = key ? await getStorage().get(key) : null;
+  if (!body) {
+    return null;
+  }
+
+  return {
+    body,
+    contentType: isThumbnail ? 'image/webp' : media.mimeType
+  };
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_UPLOAD_BYTES,
+  MediaError,
+  isMediaId,
+  sniffMediaType,
+  probeVideo,
+  storeUpload,
+  storeDataUrl,
+  toMediaResponse,
+  readMedia
+};
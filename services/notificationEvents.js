@@ -0,0 +1,89 @@
+const { subscribeToChannel } = require('./redis');
+const db = require('../data');
+const { hasPermission } = require('../middleware/auth');
+const { fanOutPost } = require('./feed');
+const { REACTIONS } = require('./reactions');
+const { deliverNotification } = require('./notificationPreferences');
+const {
+  createPostNotification,
+  createReactionNotification,
+  createCommentNotification,
+  createReplyNotification,
+  createMentionNotification
+} = require('./notifications');
+
+// Handlers for the events routes publish to Redis, keyed by channel. Payloads
+// have already been checked against the channel's schema (services/eventSchemas.js);
+// deliverNotification applies each recipient's notification preferences.
+const createHandlers = (io) => ({
+  newPost: async ({ post, author }) => {
+    // Find all users who follow the author
+    const followers = await db.follows.getFollowerIds(author.id);
+
+    // Fan the post out into the author's and followers' feeds
+    await fanOutPost(post, followers);
+
+    // Only accounts with follower alerts (celebrities) notify on every post
+    if (!hasPermission(author, 'posts:notifyFollowers')) return;
+
+    // Notify the followers who have not turned these off or muted the author
+    const delivered = await deliverNotification(followers, createPostNotification(post, author), io, { actorId: author.id });
+
+    console.log(`📢 Sent new post notifications to ${delivered} of ${followers.length} followers`);
+  },
+
+  newReaction: async ({ post, reaction, reactor, postAuthor }) => {
+    // Don't notify if user reacts to their own post
+    if (reactor.id === postAuthor.id) return;
+
+    const notification = createReactionNotification(post, reactor, reaction);
+    if (!(await deliverNotification([postAuthor.id], notification, io, { actorId: reactor.id }))) return;
+
+    console.log(`${REACTIONS[reaction]} Sent reaction notification to ${postAuthor.name}`);
+  },
+
+  newComment: async ({ post, comment, commenter, postAuthor }) => {
+    // Don't notify if user comments on their own post
+    if (commenter.id === postAuthor.id) return;
+
+    const notification = createCommentNotification(post, comment, commenter);
+    if (!(await deliverNotification([postAuthor.id], notification, io, { actorId: commenter.id }))) return;
+
+    console.log(`💬 Sent comment notification to ${postAuthor.name}`);
+  },
+
+  newReply: async ({ post, comment, replier, parentAuthor }) => {
+    const notification = createReplyNotification(post, comment, replier);
+    if (!(await deliverNotification([parentAuthor.id], notification, io, { actorId: replier.id }))) return;
+
+    console.log(`↩️ Sent reply notification to ${parentAuthor.name}`);
+  },
+
+  newMention: async ({ post, comment, mentioner, mentionedIds }) => {
+    const notification = createMentionNotification(post, mentioner, comment);
+    const delivered = await deliverNotification(mentionedIds, notification, io, { actorId: mentioner.id });
+
+    console.log(`📣 Sent mention notifications to ${delivered} of ${mentionedIds.length} users`);
+  }
+});
+
+// Subscribe to the Redis channels that turn into notifications. Each event is
+// handled by exactly one instance; socket delivery reaches every instance via
+// the adapter.
+const subscribeToNotificationEvents = async (io) => {
+  const handlers = createHandlers(io);
+
+  await Promise.all(Object.entries(handlers).map(([channel, handler]) => {
+    return subscribeToChannel(channel, async (data) => {
+      try {
+        await handler(data);
+      } catch (error) {
+        console.error(`❌ Error handling ${channel} notification:`, error);
+      }
+    }, { exclusive: true });
+  }));
+};
+
+module.exports = {
+  subscribeToNotificationEvents
+};
@@ -0,0 +1,312 @@
+const db = require('../data');
+const { client } = require('./redis');
+const { startLockedJob } = require('./jobs');
+const {
+  addNotification,
+  sendNotificationToUser,
+  getMissedNotifications,
+  getNotificationsByIds
+} = require('./notifications');
+
+// Notification types users can configure, and the channels each one can go
+// out on: pushed to connected devices (inApp) and kept in the notification
+// list (stored). Everything is on until a user changes it.
+const NOTIFICATION_TYPES = ['newPost', 'newReaction', 'newComment', 'newReply', 'mention', 'newFollower', 'verification'];
+const DELIVERY_CHANNELS = ['inApp', 'stored'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Pushes held back by quiet hours wait in Redis until the release job finds
+// the user's quiet hours over
+const QUIET_HOURS_RELEASE_INTERVAL_SECONDS = parseInt(process.env.QUIET_HOURS_RELEASE_INTERVAL_SECONDS) || 60;
+const RELEASE_LOCK_KEY = 'job_lock:held_notification_release';
+const HELD_USERS_KEY = 'held_notification_users'; // set of userIds with held pushes
+const heldNotificationsKey = (userId) => `held_notifications:${userId}`; // set of notification IDs
+
+// Rejected preference change, carries the HTTP status the route should use
+class PreferencesError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PreferencesError';
+    this.status = status;
+  }
+}
+
+// Fill in the defaults around a stored record (or null)
+const withDefaults = (userId, record) => ({
+  userId,
+  types: Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    { inApp: true, stored: true, ...(record && record.types[type]) }
+  ])),
+  quietHours: record ? record.quietHours : null,
+  mutedUserIds: record ? record.mutedUserIds : [],
+  mutedPostIds: record ? record.mutedPostIds : []
+});
+
+// Check whether a string is an IANA time zone the runtime knows
+const isValidTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The wall-clock time ("HH:MM") at a moment in a time zone
+const localTime = (date, timezone) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+};
+
+// Check whether a moment falls inside quiet hours. Windows may wrap past
+// midnight (22:00-07:00); the end time is not included.
+const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours) {
+    return false;
+  }
+
+  const time = localTime(now, quietHours.timezone);
+  const { start, end } = quietHours;
+  return start < end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Get a user's preferences with the defaults filled in
+const getPreferences = async (userId) => {
+  return withDefaults(userId, await db.notificationPreferences.findByUserId(userId));
+};
+
+// Validate { types: { newPost: { inApp: false }, ... } } and merge it into
+// the current per-type settings
+const mergeTypes = (current, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new PreferencesError('Types must be an object of notification types', 400);
+  }
+
+  const types = { ...current };
+  Object.entries(changes).forEach(([type, channels]) => {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new PreferencesError(`Unknown notification type "${type}" (expected one of ${NOTIFICATION_TYPES.join(', ')})`, 400);
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      throw new PreferencesError(`Settings for ${type} must be an object`, 400);
+    }
+
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (!DELIVERY_CHANNELS.includes(channel)) {
+        throw new PreferencesError(`Unknown channel "${channel}" (expected ${DELIVERY_CHANNELS.join(' or ')})`, 400);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new PreferencesError(`${type}.${channel} must be true or false`, 400);
+      }
+    });
+
+    types[type] = { ...types[type], ...channels };
+  });
+  return types;
+};
+
+// Validate quiet hours ({ start: "22:00", end: "07:00", timezone }, or null
+// to turn them off)
+const parseQuietHours = (quietHours) => {
+  if (quietHours === null) {
+    return null;
+  }
+  if (typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+    throw new PreferencesError('Quiet hours must be an object or null', 400);
+  }
+
+  const { start, end, timezone = 'UTC' } = quietHours;
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+    throw new PreferencesError('Quiet hours need a start and end time as HH:MM', 400);
+  }
+  if (start === end) {
+    throw new PreferencesError('Quiet hours cannot start and end at the same time', 400);
+  }
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    throw new PreferencesError('Unknown time zone', 400);
+  }
+  return { start, end, timezone };
+};
+
+// Change a user's per-type settings and/or quiet hours, returns the new
+// preferences
+const updatePreferences = async (userId, changes) => {
+  const current = await getPreferences(userId);
+  const types = changes.types === undefined ? current.types : mergeTypes(current.types, changes.types);
+  const quietHours = changes.quietHours === undefined ? current.quietHours : parseQuietHours(changes.quietHours);
+
+  return withDefaults(userId, await db.notificationPreferences.save(userId, { types, quietHours }));
+};
+
+// Load a mute target and apply the rules for muting it
+const checkMuteTarget = async (userId, targetType, targetId) => {
+  if (targetType === 'user') {
+    if (targetId === userId) {
+      throw new PreferencesError('Cannot mute yourself', 400);
+    }
+    if (!(await db.users.findById(targetId))) {
+      throw new PreferencesError('User not found', 404);
+    }
+  } else if (!(await db.posts.findById(targetId))) {
+    throw new PreferencesError('Post not found', 404);
+  }
+};
+
+// Stop notifications about a user or post, returns whether it was newly muted
+const mute = async (userId, targetType, targetId) => {
+  await checkMuteTarget(userId, targetType, targetId);
+  return db.notificationPreferences.mute(userId, targetType, targetId);
+};
+
+// Resume notifications about a user or post, returns whether it was muted
+const unmute = async (userId, targetType, targetId) => {
+  return db.notificationPreferences.unmute(userId, targetType, targetId);
+};
+
+// Work out which channels a notification reaches a user on. actorId is the
+// user whose action caused it; postId defaults to the post it is about.
+// Quiet hours hold back socket pushes (held) until they end; only stored
+// notifications can be held, the push of one that is not stored is dropped.
+const resolveDelivery = (preferences, notification, { actorId = null, postId = null } = {}, now = new Date()) => {
+  if ((actorId && preferences.mutedUserIds.includes(actorId)) ||
+      (postId && preferences.mutedPostIds.includes(postId))) {
+    return { inApp: false, stored: false, held: false };
+  }
+
+  const channels = preferences.types[notification.type] || { inApp: true, stored: true };
+  const quiet = isQuietTime(preferences.quietHours, now);
+  return {
+    inApp: channels.inApp && !quiet,
+    stored: channels.stored,
+    held: channels.inApp && channels.stored && quiet
+  };
+};
+
+// Hold back the pushes of some of a user's stored notifications until their
+// quiet hours end
+const holdNotifications = async (userId, notificationIds) => {
+  for (const id of notificationIds) {
+    await client.sadd(heldNotificationsKey(userId), id);
+  }
+  if (notificationIds.length > 0) {
+    await client.sadd(HELD_USERS_KEY, userId);
+  }
+};
+
+// Deliver a notification to some users as each of them has asked, returns
+// how many of them received it on at least one channel
+const deliverNotification = async (userIds, notification, io, { actorId = null, postId } = {}) => {
+  const context = {
+    actorId,
+    postId: postId === undefined ? (notification.data && notification.data.postId) || null : postId
+  };
+  const records = new Map((await db.notificationPreferences.findByUserIds(userIds)).map(record => [record.userId, record]));
+  const now = new Date();
+
+  let delivered = 0;
+  for (const userId of userIds) {
+    const delivery = resolveDelivery(withDefaults(userId, records.get(userId)), notification, context, now);
+    // Stored notifications are pushed as stored, so a group that grew is
+    // re-sent with its ID and clients can update it in place
+    const stored = delivery.stored ? await addNotification(userId, notification) : null;
+    if (delivery.inApp) {
+      sendNotificationToUser(userId, stored || notification, io);
+    }
+    if (delivery.held && stored) {
+      await holdNotifications(userId, [stored.id]);
+    }
+    if (delivery.stored || delivery.inApp) {
+      delivered += 1;
+    }
+  }
+  return delivered;
+};
+
+// Catch a reconnecting device up: replay what it missed since
+// lastNotificationId as newNotification events in order, then emit
+// missedNotifications with how many were sent, how many were held and whether
+// older ones are left to fetch. Only types pushed in-app are replayed; during
+// quiet hours they are held until the hours end instead. Returns how many
+// were sent.
+const sendMissedNotifications = async (socket, userId, lastNotificationId) => {
+  const preferences = await getPreferences(userId);
+  const types = NOTIFICATION_TYPES.filter(type => preferences.types[type].inApp);
+
+  const { notifications, hasMore } = types.length === 0
+    ? { notifications: [], hasMore: false }
+    : await getMissedNotifications(userId, lastNotificationId, { types });
+
+  if (isQuietTime(preferences.quietHours)) {
+    await holdNotifications(userId, notifications.map(notification => notification.id));
+    socket.emit('missedNotifications', { count: 0, held: notifications.length, hasMore });
+    return 0;
+  }
+
+  notifications.forEach(notification => socket.emit('newNotification', notification));
+  socket.emit('missedNotifications', { count: notifications.length, held: 0, hasMore });
+  return notifications.length;
+};
+
+// Push the held notifications of every user whose quiet hours are over,
+// oldest first, returns how many were pushed. Users who are offline by then
+// get them on their next reconnect, as they were never delivered.
+const releaseHeldNotifications = async (io, now = new Date()) => {
+  let released = 0;
+  for (const member of await client.smembers(HELD_USERS_KEY)) {
+    const userId = parseInt(member);
+    const preferences = await getPreferences(userId);
+    if (isQuietTime(preferences.quietHours, now)) {
+      continue;
+    }
+
+    const ids = await client.smembers(heldNotificationsKey(userId));
+    const held = await getNotificationsByIds(userId, ids);
+    // Types turned off for in-app delivery since are not pushed
+    held
+      .filter(notification => preferences.types[notification.type].inApp)
+      .forEach(notification => {
+        sendNotificationToUser(userId, notification, io);
+        released += 1;
+      });
+
+    for (const id of ids) {
+      await client.srem(heldNotificationsKey(userId), id);
+    }
+    if (await client.scard(heldNotificationsKey(userId)) === 0) {
+      await client.srem(HELD_USERS_KEY, member);
+    }
+  }
+  return released;
+};
+
+// Run releaseHeldNotifications on an interval, returns the timer so shutdown can stop it
+const startHeldNotificationRelease = (io) => {
+  return startLockedJob(RELEASE_LOCK_KEY, QUIET_HOURS_RELEASE_INTERVAL_SECONDS * 1000, async () => {
+    const count = await releaseHeldNotifications(io);
+    if (count > 0) {
+      console.log(`🌅 Released ${count} notifications held during quiet hours`);
+    }
+  }, 'held notification release');
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DELIVERY_CHANNELS,
+  PreferencesError,
+  isQuietTime,
+  getPreferences,
+  updatePreferences,
+  mute,
+  unmute,
+  resolveDelivery,
+  deliverNotification,
+  sendMissedNotifications,
+  releaseHeldNotifications,
+  startHeldNotificationRelease
+};
@@ -0,0 +1,31 @@
+const { startLockedJob } = require('./jobs');
+const db = require('../data');
+
+// Notifications are kept for this long after their last activity (a group
+// counts from its latest reaction or comment) before the purge job deletes them
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+const NOTIFICATION_PURGE_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_PURGE_INTERVAL_MINUTES) || 60;
+const RETENTION_MS = NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+const PURGE_LOCK_KEY = 'job_lock:notification_purge';
+
+// Delete every notification older than the retention window, returns the number purged
+const purgeExpiredNotifications = async () => {
+  return db.notifications.purgeOlderThan(new Date(Date.now() - RETENTION_MS));
+};
+
+// Run purgeExpiredNotifications on an interval, returns the timer so shutdown can stop it
+const startNotificationPurgeJob = () => {
+  return startLockedJob(PURGE_LOCK_KEY, NOTIFICATION_PURGE_INTERVAL_MINUTES * 60 * 1000, async () => {
+    const count = await purgeExpiredNotifications();
+    if (count > 0) {
+      console.log(`🧹 Purged ${count} expired notifications`);
+    }
+  }, 'notification purge');
+};
+
+module.exports = {
+  NOTIFICATION_RETENTION_DAYS,
+  purgeExpiredNotifications,
+  startNotificationPurgeJob
+};
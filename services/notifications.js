@@ -1,103 +1,317 @@
-// In-memory storage for notifications
-const notifications = new Map(); // userId -> notifications[]
-const userSockets = new Map(); // userId -> socketId[]
-
-// Add notification for a user
-const addNotification = (userId, notification) => {
-  if (!notifications.has(userId)) {
-    notifications.set(userId, []);
+const crypto = require('crypto');
+const { client } = require('./redis');
+const db = require('../data');
+const { REACTIONS } = require('./reactions');
+const { encodeCursor } = require('./cursor');
+
+// Reactions and comments on the same post within this window are grouped
+// into one notification ("Jane and 41 others reacted to your post")
+const GROUP_WINDOW_MINUTES = parseInt(process.env.NOTIFICATION_GROUP_WINDOW_MINUTES) || 60;
+const MAX_GROUP_ACTORS = 3; // most recent actors listed on a group
+
+// A reconnecting device is sent at most this many missed notifications, it
+// pages through anything older with GET /api/notifications
+const NOTIFICATION_REPLAY_LIMIT = parseInt(process.env.NOTIFICATION_REPLAY_LIMIT) || 100;
+
+// Notification types that are grouped, with who caused each one and how a
+// group describes it
+const GROUPED_TYPES = {
+  newReaction: {
+    actor: (data) => ({ id: data.reactorId, name: data.reactorName }),
+    action: 'reacted to your post'
+  },
+  newComment: {
+    actor: (data) => ({ id: data.commenterId, name: data.commenterName }),
+    action: 'commented on your post'
   }
-  
-  const userNotifications = notifications.get(userId);
-  const newNotification = {
-    id: Date.now() + Math.random(),
-    ...notification,
-    timestamp: new Date().toISOString(),
-    read: false
+};
+
+// Notification IDs are UUIDs; anything else cannot name a notification
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Whether a value from a client can be a notification ID. Checked before
+// any query, so both drivers treat malformed IDs as unknown notifications.
+const isNotificationId = (value) => typeof value === 'string' && ID_PATTERN.test(value);
+
+// Socket registry lives in Redis so every instance sees the same connections
+const userSocketsKey = (userId) => `user_sockets:${userId}`; // set of socketIds (one per device)
+const ONLINE_USERS_KEY = 'online_users'; // set of userIds with at least one socket
+
+// Each instance also records the sockets it holds and keeps a heartbeat key
+// alive, so when an instance dies without disconnecting its sockets the
+// others can take them out of the registry
+const INSTANCE_ID = crypto.randomUUID();
+const SOCKET_HEARTBEAT_SECONDS = parseInt(process.env.SOCKET_HEARTBEAT_SECONDS) || 30;
+const INSTANCES_KEY = 'socket_instances'; // set of instance IDs
+const instanceSocketsKey = (instanceId) => `instance_sockets:${instanceId}`; // set of `${userId}:${socketId}`
+const instanceHeartbeatKey = (instanceId) => `instance_heartbeat:${instanceId}`; // expires unless refreshed
+
+// A stored notification as clients see it. Groups also carry their actor
+// count and most recent actors. delivered is set once one of the user's
+// devices has acknowledged it.
+const presentNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  data: notification.data,
+  ...(notification.groupKey ? {
+    groupKey: notification.groupKey,
+    groupStartedAt: notification.groupStartedAt,
+    actorCount: notification.actorIds.length,
+    actors: notification.actors
+  } : {}),
+  timestamp: notification.timestamp,
+  delivered: Boolean(notification.deliveredAt),
+  read: notification.read
+});
+
+// Name a group's actors: "Jane and John" or "Jane and 41 others"
+const describeActors = (actors, actorCount) => {
+  return actorCount === 2
+    ? `${actors[0].name} and ${actors[1].name}`
+    : `${actors[0].name} and ${actorCount - 1} others`;
+};
+
+// Fold a notification into an existing group: count its actor, put them first
+// among the recent actors and take over its data. Returns the group's new
+// { message, data, actorIds, actors }.
+const mergeIntoGroup = (group, notification) => {
+  const { actor, action } = GROUPED_TYPES[notification.type];
+  const latest = actor(notification.data);
+
+  const actorIds = group.actorIds.includes(latest.id) ? group.actorIds : [...group.actorIds, latest.id];
+  const actors = [latest, ...group.actors.filter(a => a.id !== latest.id)].slice(0, MAX_GROUP_ACTORS);
+  return {
+    message: actorIds.length > 1 ? `${describeActors(actors, actorIds.length)} ${action}` : notification.message,
+    data: notification.data,
+    actorIds,
+    actors
   };
-  
-  userNotifications.unshift(newNotification); // Add to beginning
-  
-  // Keep only last 50 notifications per user
-  if (userNotifications.length > 50) {
-    userNotifications.splice(50);
+};
+
+// Add notification for a user, returns the stored notification. Reactions
+// and comments join the open group for their post when there is one (updated
+// in place, keeping its ID, and unread again) and start a new group otherwise.
+const addNotification = async (userId, notification) => {
+  const grouping = GROUPED_TYPES[notification.type];
+  if (!grouping) {
+    return presentNotification(await db.notifications.create({ id: crypto.randomUUID(), userId, ...notification }));
   }
-  
-  notifications.set(userId, userNotifications);
-  return newNotification;
+
+  const groupKey = `${notification.type}:${notification.data.postId}`;
+  const windowStart = new Date(Date.now() - GROUP_WINDOW_MINUTES * 60 * 1000);
+  const group = await db.notifications.updateOpenGroup(userId, groupKey, windowStart, (current) => mergeIntoGroup(current, notification));
+  if (group) {
+    return presentNotification(group);
+  }
+
+  const actor = grouping.actor(notification.data);
+  return presentNotification(await db.notifications.create({
+    id: crypto.randomUUID(),
+    userId,
+    ...notification,
+    groupKey,
+    actorIds: [actor.id],
+    actors: [actor]
+  }));
 };
 
-// Get notifications for a user
-const getNotifications = (userId, limit = 20) => {
-  if (!notifications.has(userId)) {
+// Page through a user's notifications, latest activity first (?type= and
+// unread-only filters). cursor is the decoded nextCursor of the previous
+// page. Returns { notifications, nextCursor }.
+const getNotifications = async (userId, { limit = 20, cursor = null, type = null, unreadOnly = false } = {}) => {
+  const page = await db.notifications.listPage(userId, {
+    limit,
+    before: cursor ? { timestamp: new Date(cursor.t), id: cursor.id } : null,
+    type,
+    unreadOnly
+  });
+
+  const last = page[page.length - 1];
+  return {
+    notifications: page.map(presentNotification),
+    nextCursor: page.length === limit ? encodeCursor({ t: new Date(last.timestamp).toISOString(), id: last.id }) : null
+  };
+};
+
+// Find the notifications a device missed since the last one it saw, oldest
+// first. Without a last notification (or one that no longer exists) they are
+// the ones no device has acknowledged. types limits them to some notification
+// types. Returns { notifications, hasMore }.
+const getMissedNotifications = async (userId, lastNotificationId, { types = null, limit = NOTIFICATION_REPLAY_LIMIT } = {}) => {
+  const last = isNotificationId(lastNotificationId) ? await db.notifications.findById(userId, lastNotificationId) : null;
+  const missed = await db.notifications.listSince(userId, {
+    // Counted from when the last one was created, so a group that has grown
+    // since the device saw it is sent again
+    after: last ? { timestamp: last.createdAt, id: last.id } : null,
+    undeliveredOnly: !last,
+    types,
+    limit: limit + 1
+  });
+
+  return {
+    notifications: missed.slice(0, limit).map(presentNotification),
+    hasMore: missed.length > limit
+  };
+};
+
+// Get some of a user's notifications by ID, oldest activity first. IDs
+// that name none of theirs are skipped.
+const getNotificationsByIds = async (userId, notificationIds) => {
+  const ids = notificationIds.filter(isNotificationId);
+  if (ids.length === 0) {
     return [];
   }
-  
-  const userNotifications = notifications.get(userId);
-  return userNotifications.slice(0, limit);
+  return (await db.notifications.findByIds(userId, ids)).map(presentNotification);
 };
 
 // Get unread notification count for a user
-const getUnreadCount = (userId) => {
-  if (!notifications.has(userId)) {
-    return 0;
-  }
-  
-  const userNotifications = notifications.get(userId);
-  return userNotifications.filter(notification => !notification.read).length;
+const getUnreadCount = async (userId) => {
+  return db.notifications.countUnread(userId);
 };
 
-// Mark notification as read
-const markAsRead = (userId, notificationId) => {
-  if (!notifications.has(userId)) {
+// Mark notification as read, returns false when the user has no such notification
+const markAsRead = async (userId, notificationId) => {
+  if (!isNotificationId(notificationId)) {
     return false;
   }
-  
-  const userNotifications = notifications.get(userId);
-  const notification = userNotifications.find(n => n.id === notificationId);
-  
-  if (notification) {
-    notification.read = true;
-    return true;
+  return db.notifications.markRead(userId, notificationId);
+};
+
+// Mark all notifications as read for a user, returns how many were unread
+const markAllAsRead = async (userId) => {
+  return db.notifications.markAllRead(userId);
+};
+
+// Record that notifications reached one of the user's devices, returns how
+// many had not been delivered before. Other users' notifications are ignored.
+const acknowledgeNotifications = async (userId, notificationIds) => {
+  const ids = notificationIds.filter(isNotificationId);
+  if (ids.length === 0) {
+    return 0;
   }
-  
-  return false;
+  return db.notifications.markDelivered(userId, [...new Set(ids)]);
 };
 
-// Mark all notifications as read for a user
-const markAllAsRead = (userId) => {
-  if (!notifications.has(userId)) {
+// Delete one of a user's notifications, returns false when there is no such notification
+const deleteNotification = async (userId, notificationId) => {
+  if (!isNotificationId(notificationId)) {
     return false;
   }
-  
-  const userNotifications = notifications.get(userId);
-  userNotifications.forEach(notification => {
-    notification.read = true;
+  return db.notifications.remove(userId, notificationId);
+};
+
+// Flag whether the post each notification points at still exists.
+// Notifications about posts that were deleted (in the trash or purged) keep
+// their type and sender but lose the post's content.
+const resolvePostAvailability = async (userNotifications) => {
+  const postIds = [...new Set(userNotifications
+    .filter(notification => notification.data && notification.data.postId)
+    .map(notification => notification.data.postId))];
+  const existing = new Set((await db.posts.findByIds(postIds)).map(post => post.id));
+
+  return userNotifications.map(notification => {
+    const postId = notification.data && notification.data.postId;
+    if (!postId || existing.has(postId)) {
+      return { ...notification, available: true };
+    }
+
+    const { content, commentText, replyText, ...data } = notification.data;
+    return {
+      ...notification,
+      message: 'This post is no longer available',
+      data,
+      available: false
+    };
   });
-  
-  return true;
 };
 
-// Register user socket
-const registerUserSocket = (userId, socketId) => {
-  userSockets.set(userId, socketId);
+// Register one of a user's sockets, returns how many devices are now connected
+const registerUserSocket = async (userId, socketId) => {
+  await client.sadd(instanceSocketsKey(INSTANCE_ID), `${userId}:${socketId}`);
+  await client.sadd(userSocketsKey(userId), socketId);
+  await client.sadd(ONLINE_USERS_KEY, userId);
+  return client.scard(userSocketsKey(userId));
 };
 
-// Unregister user socket
-const unregisterUserSocket = (userId) => {
-  userSockets.delete(userId);
+// Take a socket held by an instance out of the registry, returns how many
+// devices the user has left. The user is only marked offline once their last
+// socket is gone.
+const removeSocket = async (instanceId, userId, socketId) => {
+  await client.srem(userSocketsKey(userId), socketId);
+  await client.srem(instanceSocketsKey(instanceId), `${userId}:${socketId}`);
+  const remaining = await client.scard(userSocketsKey(userId));
+  if (remaining === 0) {
+    await client.srem(ONLINE_USERS_KEY, userId);
+  }
+  return remaining;
+};
+
+// Unregister one of a user's sockets, returns how many devices remain
+const unregisterUserSocket = async (userId, socketId) => {
+  return removeSocket(INSTANCE_ID, userId, socketId);
+};
+
+// Remove the sockets of every instance whose heartbeat has expired, returns
+// how many were removed
+const removeStaleSockets = async () => {
+  let removed = 0;
+  for (const instanceId of await client.smembers(INSTANCES_KEY)) {
+    if (instanceId === INSTANCE_ID || await client.exists(instanceHeartbeatKey(instanceId))) {
+      continue;
+    }
+
+    for (const entry of await client.smembers(instanceSocketsKey(instanceId))) {
+      const separator = entry.indexOf(':');
+      await removeSocket(instanceId, entry.slice(0, separator), entry.slice(separator + 1));
+      removed += 1;
+    }
+    await client.srem(INSTANCES_KEY, instanceId);
+  }
+  return removed;
+};
+
+// Refresh this instance's heartbeat and clean up after instances that
+// stopped, now and on an interval. Returns the timer so shutdown can stop it.
+const startSocketRegistryHeartbeat = () => {
+  const beat = async () => {
+    try {
+      // A few missed beats in a row mean the instance is gone
+      await client.set(instanceHeartbeatKey(INSTANCE_ID), process.pid, 'EX', SOCKET_HEARTBEAT_SECONDS * 3);
+      await client.sadd(INSTANCES_KEY, INSTANCE_ID);
+
+      const removed = await removeStaleSockets();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} sockets left behind by stopped instances`);
+      }
+    } catch (error) {
+      console.error('❌ Error refreshing the socket registry:', error);
+    }
+  };
+
+  beat();
+  const timer = setInterval(beat, SOCKET_HEARTBEAT_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+// Get the socket IDs of every device a user has connected
+const getUserSockets = async (userId) => {
+  return client.smembers(userSocketsKey(userId));
 };
 
-// Get user socket ID
-const getUserSocket = (userId) => {
-  return userSockets.get(userId);
+// Check whether a user has at least one connected device
+const isUserOnline = async (userId) => {
+  return (await client.sismember(ONLINE_USERS_KEY, userId)) === 1;
 };
 
-// Send notification to user via socket
+// Send notification to user via socket. Every socket of an authenticated user
+// joins the user_${userId} room, and the Socket.IO adapter fans the emit out
+// to whichever instance holds those sockets.
 const sendNotificationToUser = (userId, notification, io) => {
-  const socketId = getUserSocket(userId);
-  if (socketId && io) {
-    io.to(socketId).emit('newNotification', notification);
+  if (io) {
+    io.to(`user_${userId}`).emit('newNotification', notification);
     console.log(`📨 Sent notification to user ${userId}:`, notification);
   }
 };
@@ -117,22 +331,23 @@ const createPostNotification = (post, author) => {
   };
 };
 
-// Create notification for new like
-const createLikeNotification = (post, liker, postAuthor) => {
+// Create notification for a reaction to a post
+const createReactionNotification = (post, reactor, reaction) => {
   return {
-    type: 'newLike',
-    title: 'New Like',
-    message: `${liker.name} liked your post`,
+    type: 'newReaction',
+    title: 'New Reaction',
+    message: `${reactor.name} reacted ${REACTIONS[reaction]} to your post`,
     data: {
       postId: post.id,
-      likerId: liker.id,
-      likerName: liker.name
+      reactorId: reactor.id,
+      reactorName: reactor.name,
+      reaction
     }
   };
 };
 
 // Create notification for new comment
-const createCommentNotification = (post, commenter, postAuthor) => {
+const createCommentNotification = (post, comment, commenter) => {
   return {
     type: 'newComment',
     title: 'New Comment',
@@ -147,17 +362,97 @@ const createCommentNotification = (post, commenter, postAuthor) => {
   };
 };
 
+// Create notification for a reply to one of the user's comments
+const createReplyNotification = (post, reply, replier) => {
+  return {
+    type: 'newReply',
+    title: 'New Reply',
+    message: `${replier.name} replied to your comment`,
+    data: {
+      postId: post.id,
+      commentId: reply.id,
+      parentId: reply.parentId,
+      replierId: replier.id,
+      replierName: replier.name,
+      replyText: reply.text.substring(0, 50) + (reply.text.length > 50 ? '...' : '')
+    }
+  };
+};
+
+// Create notification for a user mentioned in a post, or in a comment on it
+const createMentionNotification = (post, mentioner, comment = null) => {
+  const text = comment ? comment.text : post.content;
+  const excerpt = text.substring(0, 100) + (text.length > 100 ? '...' : '');
+
+  return {
+    type: 'mention',
+    title: 'New Mention',
+    message: `${mentioner.name} mentioned you in a ${comment ? 'comment' : 'post'}`,
+    data: {
+      postId: post.id,
+      commentId: comment ? comment.id : null,
+      mentionerId: mentioner.id,
+      mentionerName: mentioner.name,
+      ...(comment ? { commentText: excerpt } : { content: excerpt })
+    }
+  };
+};
+
+// Create notification for a new follower
+const createFollowNotification = (follower, target) => {
+  return {
+    type: 'newFollower',
+    title: 'New Follower',
+    message: `${follower.name} started following you`,
+    data: {
+      followerId: follower.id,
+      followerName: follower.name,
+      followerType: follower.type
+    }
+  };
+};
+
+// Create notification for a reviewed verification request
+const createVerificationNotification = (request) => {
+  const approved = request.status === 'approved';
+  return {
+    type: 'verification',
+    title: approved ? 'Verification Approved' : 'Verification Declined',
+    message: approved
+      ? 'Your account has been verified as a celebrity!'
+      : 'Your verification request was not approved',
+    data: {
+      requestId: request.id,
+      status: request.status,
+      note: request.reviewNote || null
+    }
+  };
+};
+
 module.exports = {
+  isNotificationId,
   addNotification,
   getNotifications,
   getUnreadCount,
   markAsRead,
   markAllAsRead,
+  getMissedNotifications,
+  getNotificationsByIds,
+  acknowledgeNotifications,
+  deleteNotification,
+  resolvePostAvailability,
   registerUserSocket,
   unregisterUserSocket,
-  getUserSocket,
+  removeStaleSockets,
+  startSocketRegistryHeartbeat,
+  getUserSockets,
+  isUserOnline,
   sendNotificationToUser,
   createPostNotification,
-  createLikeNotification,
-  createCommentNotification
+  createReactionNotification,
+  createCommentNotification,
+  createReplyNotification,
+  createMentionNotification,
+  createFollowNotification,
+  createVerificationNotification
 }; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<salt hex>$<derived key hex>
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash a password with a random salt
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${derivedKey.toString('hex')}`;
+};
+
+// Check a password against a stored hash (constant-time comparison)
+const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [scheme, saltHex, keyHex] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const derivedKey = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(derivedKey, expected);
+};
+
+// Returns an error message when a new password is too weak, otherwise null
+const validateNewPassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+// Generate a random single-use token and the hash we store for it
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Tokens are stored hashed so a database leak does not expose live tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validateNewPassword,
+  generateToken,
+  hashToken
+};
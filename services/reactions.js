@@ -0,0 +1,21 @@
+// Reactions a user can leave on a post (one per user and post), with the
+// emoji clients and notifications show for each
+const REACTIONS = {
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  angry: '😡'
+};
+
+const REACTION_TYPES = Object.keys(REACTIONS);
+
+// Check whether a value is a known reaction type
+const isReactionType = (value) => typeof value === 'string' && REACTION_TYPES.includes(value);
+
+module.exports = {
+  REACTIONS,
+  REACTION_TYPES,
+  isReactionType
+};
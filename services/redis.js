@@ -1,8 +1,23 @@
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const Redis = require('ioredis');
+const { EventValidationError, validateEvent, assertValidEvent } = require('./eventSchemas');
 
 // In-memory event emitter to replace Redis Pub/Sub
 const eventEmitter = new EventEmitter();
 
+// In-memory key space shared by every InMemoryRedis instance
+const store = new Map(); // key -> Set(member) | string
+const expiries = new Map(); // key -> expiry timestamp (ms)
+
+// Drop a key whose TTL has passed, the way Redis expires keys lazily
+const expireIfNeeded = (key) => {
+  if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+    store.delete(key);
+    expiries.delete(key);
+  }
+};
+
 // Simulate Redis-like interface with in-memory storage
 class InMemoryRedis {
   constructor() {
@@ -40,61 +55,296 @@ class InMemoryRedis {
       console.log(`📡 Unsubscribed from ${channel}`);
     }
   }
+
+  async sadd(key, member) {
+    if (!store.has(key)) {
+      store.set(key, new Set());
+    }
+    const set = store.get(key);
+    const added = set.has(String(member)) ? 0 : 1;
+    set.add(String(member));
+    return added;
+  }
+
+  async srem(key, member) {
+    const set = store.get(key);
+    const removed = set && set.delete(String(member)) ? 1 : 0;
+    if (set && set.size === 0) {
+      store.delete(key);
+    }
+    return removed;
+  }
+
+  async scard(key) {
+    return store.has(key) ? store.get(key).size : 0;
+  }
+
+  async smembers(key) {
+    return store.has(key) ? [...store.get(key)] : [];
+  }
+
+  async sismember(key, member) {
+    return store.has(key) && store.get(key).has(String(member)) ? 1 : 0;
+  }
+
+  async setex(key, seconds, value) {
+    store.set(key, String(value));
+    expiries.set(key, Date.now() + seconds * 1000);
+  }
+
+  // Supports the SET options used here: EX <seconds> and NX
+  async set(key, value, ...options) {
+    const flags = options.map(option => String(option).toUpperCase());
+    expireIfNeeded(key);
+    if (flags.includes('NX') && store.has(key)) {
+      return null;
+    }
+
+    store.set(key, String(value));
+    const exIndex = flags.indexOf('EX');
+    if (exIndex !== -1) {
+      expiries.set(key, Date.now() + parseInt(options[exIndex + 1]) * 1000);
+    } else {
+      expiries.delete(key);
+    }
+    return 'OK';
+  }
+
+  async get(key) {
+    expireIfNeeded(key);
+    const value = store.get(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  async exists(key) {
+    expireIfNeeded(key);
+    return store.has(key) ? 1 : 0;
+  }
+}
+
+// Real Redis connection (ioredis) with the same interface as InMemoryRedis
+class IORedisTransport {
+  constructor(name, url) {
+    this.name = name;
+    this.handlers = new Map(); // channel -> callback[]
+    this.redis = new Redis(url, {
+      lazyConnect: true,
+      maxRetriesPerRequest: null,
+      // Back off 100ms, 200ms, ... up to REDIS_MAX_BACKOFF_MS between reconnect attempts
+      retryStrategy: (times) => Math.min(times * 100, MAX_BACKOFF_MS),
+      // Reconnect when a failover turns the node we are talking to into a replica
+      reconnectOnError: (error) => error.message.startsWith('READONLY')
+    });
+
+    this.redis.on('error', (error) => {
+      console.error(`❌ Redis ${name} error:`, error.message);
+    });
+    this.redis.on('reconnecting', (delay) => {
+      console.log(`🔄 Redis ${name} reconnecting in ${delay}ms`);
+    });
+    this.redis.on('ready', () => {
+      console.log(`✅ Redis ${name} ready`);
+    });
+    this.redis.on('message', (channel, message) => {
+      (this.handlers.get(channel) || []).forEach(callback => callback(message));
+    });
+  }
+
+  get isConnected() {
+    return this.redis.status === 'ready';
+  }
+
+  async connect() {
+    // Commands issued before connect() may already have started the connection
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+  }
+
+  async quit() {
+    if (this.redis.status === 'ready') {
+      await this.redis.quit();
+    } else {
+      // QUIT would sit in the offline queue while we are still reconnecting
+      this.redis.disconnect();
+    }
+  }
+
+  async publish(channel, message) {
+    await this.redis.publish(channel, message);
+  }
+
+  async subscribe(channel, callback) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, []);
+      // ioredis re-subscribes automatically after a reconnect
+      await this.redis.subscribe(channel);
+    }
+    this.handlers.get(channel).push(callback);
+  }
+
+  async unsubscribe(channel) {
+    this.handlers.delete(channel);
+    await this.redis.unsubscribe(channel);
+  }
+
+  async sadd(key, member) {
+    return this.redis.sadd(key, member);
+  }
+
+  async srem(key, member) {
+    return this.redis.srem(key, member);
+  }
+
+  async scard(key) {
+    return this.redis.scard(key);
+  }
+
+  async smembers(key) {
+    return this.redis.smembers(key);
+  }
+
+  async sismember(key, member) {
+    return this.redis.sismember(key, member);
+  }
+
+  async setex(key, seconds, value) {
+    await this.redis.setex(key, seconds, value);
+  }
+
+  async set(key, value, ...options) {
+    return this.redis.set(key, value, ...options);
+  }
+
+  async get(key) {
+    return this.redis.get(key);
+  }
+
+  async exists(key) {
+    return this.redis.exists(key);
+  }
 }
 
-// Create in-memory Redis instances
-const client = new InMemoryRedis();
-const subscriber = new InMemoryRedis();
-const publisher = new InMemoryRedis();
+// Pick the transport: REDIS_DRIVER=redis uses REDIS_URL, REDIS_DRIVER=memory
+// keeps everything in this process. Defaults to redis only when REDIS_URL is set.
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const REDIS_DRIVER = process.env.REDIS_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory');
+const MAX_BACKOFF_MS = parseInt(process.env.REDIS_MAX_BACKOFF_MS) || 5000;
 
-// Connect to in-memory Redis
+if (!['redis', 'memory'].includes(REDIS_DRIVER)) {
+  throw new Error(`Unknown REDIS_DRIVER "${REDIS_DRIVER}" (expected "redis" or "memory")`);
+}
+
+const createConnection = (name) => {
+  return REDIS_DRIVER === 'redis' ? new IORedisTransport(name, REDIS_URL) : new InMemoryRedis();
+};
+
+// Create Redis connections (a subscribed connection cannot issue other commands)
+const client = createConnection('client');
+const subscriber = createConnection('subscriber');
+const publisher = createConnection('publisher');
+const adapterConnections = []; // raw ioredis connections handed to Socket.IO
+
+// Connect to Redis
 const connectRedis = async () => {
   try {
     await client.connect();
     await subscriber.connect();
     await publisher.connect();
-    console.log('✅ In-memory Redis connected successfully');
+    console.log(`✅ Redis connected successfully (${REDIS_DRIVER} driver)`);
   } catch (error) {
-    console.error('❌ In-memory Redis connection error:', error);
+    console.error('❌ Redis connection error:', error);
   }
 };
 
-// Disconnect from in-memory Redis
+// Disconnect from Redis
 const disconnectRedis = async () => {
   try {
     await client.quit();
     await subscriber.quit();
     await publisher.quit();
-    console.log('✅ In-memory Redis disconnected');
+    adapterConnections.forEach(connection => connection.disconnect());
+    console.log('✅ Redis disconnected');
   } catch (error) {
-    console.error('❌ In-memory Redis disconnection error:', error);
+    console.error('❌ Redis disconnection error:', error);
   }
 };
 
-// Publish message to channel
+// How long an instance's claim on an event is remembered
+const EVENT_CLAIM_TTL_SECONDS = 300;
+
+// Publish message to channel, returns whether it was sent. Messages travel in
+// an envelope with an event ID so exclusive subscribers can tell deliveries of
+// the same event apart. Payloads that do not match the channel's schema
+// (services/eventSchemas.js) are not sent.
 const publishMessage = async (channel, message) => {
   try {
-    await publisher.publish(channel, JSON.stringify(message));
+    assertValidEvent(channel, message);
+
+    const envelope = { eventId: crypto.randomUUID(), payload: message };
+    await publisher.publish(channel, JSON.stringify(envelope));
     console.log(`📡 Published to ${channel}:`, message);
+    return true;
+  } catch (error) {
+    console.error('❌ Redis publish error:', error);
+    return false;
+  }
+};
+
+// Unwrap a received message, throws an EventValidationError when it is not a
+// valid envelope or its payload does not match the channel's schema
+const parseEnvelope = (channel, message) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(message);
   } catch (error) {
-    console.error('❌ In-memory Redis publish error:', error);
+    throw new EventValidationError(channel, [{ path: '', message: 'is not valid JSON' }]);
+  }
+
+  if (!envelope || typeof envelope.eventId !== 'string' || !envelope.eventId) {
+    throw new EventValidationError(channel, [{ path: 'eventId', message: 'must be a non-empty string' }]);
+  }
+
+  const errors = validateEvent(channel, envelope.payload).map(error => ({
+    ...error,
+    path: error.path ? `payload.${error.path}` : 'payload'
+  }));
+  if (errors.length > 0) {
+    throw new EventValidationError(channel, errors);
   }
+  return envelope;
 };
 
-// Subscribe to channel
-const subscribeToChannel = async (channel, callback) => {
+// Claim an event for this instance, returns false if another instance already did
+const claimEvent = async (channel, eventId) => {
+  const claimed = await client.set(`event_claim:${channel}:${eventId}`, '1', 'EX', EVENT_CLAIM_TTL_SECONDS, 'NX');
+  return claimed === 'OK';
+};
+
+// Subscribe to channel. Every instance receives every message; with
+// { exclusive: true } only the instance that claims an event runs the
+// callback, for handlers that write data or notify users. Malformed events
+// are dropped (and logged with their validation errors) before the callback.
+const subscribeToChannel = async (channel, callback, { exclusive = false } = {}) => {
   try {
-    await subscriber.subscribe(channel, (message) => {
+    await subscriber.subscribe(channel, async (message) => {
       try {
-        const parsedMessage = JSON.parse(message);
-        callback(parsedMessage);
+        const { eventId, payload } = parseEnvelope(channel, message);
+        if (exclusive && !(await claimEvent(channel, eventId))) {
+          return;
+        }
+        await callback(payload);
       } catch (error) {
-        console.error('❌ Error parsing in-memory Redis message:', error);
+        if (error instanceof EventValidationError) {
+          console.error(`❌ Rejected malformed event on ${channel}:`, error.errors);
+          return;
+        }
+        console.error(`❌ Error handling Redis message on ${channel}:`, error);
       }
     });
     console.log(`📡 Subscribed to ${channel}`);
   } catch (error) {
-    console.error('❌ In-memory Redis subscribe error:', error);
+    console.error('❌ Redis subscribe error:', error);
   }
 };
 
@@ -104,11 +354,25 @@ const unsubscribeFromChannel = async (channel) => {
     await subscriber.unsubscribe(channel);
     console.log(`📡 Unsubscribed from ${channel}`);
   } catch (error) {
-    console.error('❌ In-memory Redis unsubscribe error:', error);
+    console.error('❌ Redis unsubscribe error:', error);
+  }
+};
+
+// Dedicated ioredis connections for the Socket.IO Redis adapter, or null when
+// running on the in-memory driver (a single instance needs no adapter)
+const createAdapterClients = () => {
+  if (REDIS_DRIVER !== 'redis') {
+    return null;
   }
+
+  const pubClient = publisher.redis.duplicate();
+  const subClient = subscriber.redis.duplicate();
+  adapterConnections.push(pubClient, subClient);
+  return { pubClient, subClient };
 };
 
 module.exports = {
+  REDIS_DRIVER,
   client,
   subscriber,
   publisher,
@@ -116,5 +380,6 @@ module.exports = {
   disconnectRedis,
   publishMessage,
   subscribeToChannel,
-  unsubscribeFromChannel
+  unsubscribeFromChannel,
+  createAdapterClients
 }; 
\ No newline at end of file
@@ -0,0 +1,51 @@
+const db = require('../data');
+
+// How often the scheduler looks for scheduled posts that are due
+const POST_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.POST_SCHEDULER_INTERVAL_SECONDS) || 30;
+
+// Publish every scheduled post that is due and hand each one to
+// onPublish(post, author), returns the number published. Posts are claimed
+// and announced one at a time, so a failure to announce one does not hold
+// back the others.
+const publishDuePosts = async (onPublish) => {
+  const now = new Date();
+  let count = 0;
+
+  let post;
+  while ((post = await db.posts.publishNextDue(now))) {
+    count += 1;
+    try {
+      const author = await db.users.findById(post.userId);
+      if (author) {
+        await onPublish(post, { id: author.id, name: author.name, type: author.type });
+      }
+    } catch (error) {
+      console.error(`❌ Error announcing scheduled post ${post.id}:`, error);
+    }
+  }
+  return count;
+};
+
+// Run publishDuePosts on an interval, returns the timer so shutdown can stop
+// it. Publishing claims each post atomically, so every instance can run it.
+const startPostScheduler = (onPublish) => {
+  const run = async () => {
+    try {
+      const count = await publishDuePosts(onPublish);
+      if (count > 0) {
+        console.log(`⏰ Published ${count} scheduled posts`);
+      }
+    } catch (error) {
+      console.error('❌ Error publishing scheduled posts:', error);
+    }
+  };
+
+  const timer = setInterval(run, POST_SCHEDULER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishDuePosts,
+  startPostScheduler
+};
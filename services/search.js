@@ -0,0 +1,132 @@
+const db = require('../data');
+
+// Full-text search over post content, comment text and user names and
+// handles, backed by the inverted index in db.searchIndex. Routes keep the
+// index current as posts, comments and users change; results are ranked
+// with BM25.
+const SEARCH_TYPES = ['posts', 'comments', 'users'];
+const DOCUMENT_TYPES = { posts: 'post', comments: 'comment', users: 'user' };
+
+const MAX_QUERY_TERMS = 10;
+// How many of the best matches a search ranks and can page through
+const SEARCH_CANDIDATE_LIMIT = parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 1000;
+
+// BM25 parameters, plus a boost for name matches so people come before
+// posts that merely mention them
+const K1 = 1.2;
+const B = 0.75;
+const TYPE_WEIGHTS = { post: 1, comment: 0.8, user: 1.5 };
+
+// Split text into lowercase terms, folding accents ("Beyoncé" -> "beyonce")
+const tokenize = (text) => {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
+
+// Index a document's text
+const indexDocument = async (document, text) => {
+  const tokens = tokenize(text);
+  const terms = new Map();
+  tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+  await db.searchIndex.replace({ ...document, length: tokens.length }, terms);
+};
+
+// Index a published post
+const indexPost = async (post) => {
+  await indexDocument({ type: 'post', id: post.id, postId: post.id }, post.content);
+};
+
+// Index a comment
+const indexComment = async (comment) => {
+  await indexDocument({ type: 'comment', id: `${comment.postId}:${comment.id}`, postId: comment.postId }, comment.text);
+};
+
+// Index a user's name and handle
+const indexUser = async (user) => {
+  await indexDocument({ type: 'user', id: user.id }, `${user.name} ${user.handle || ''}`);
+};
+
+// Index a post together with all of its comments (after a restore or rebuild)
+const indexPostWithComments = async (post) => {
+  await indexPost(post);
+
+  const topLevel = await db.comments.listPage(post.id);
+  const replies = await db.comments.listReplies(post.id, topLevel.map(comment => comment.id));
+  for (const comment of [...topLevel, ...replies]) {
+    await indexComment(comment);
+  }
+};
+
+// Drop a post and its comments from the index
+const removePost = async (postId) => {
+  await db.searchIndex.removeByPost(postId);
+};
+
+// Drop some of a post's comments from the index
+const removeComments = async (postId, commentIds) => {
+  for (const commentId of commentIds) {
+    await db.searchIndex.remove('comment', `${postId}:${commentId}`);
+  }
+};
+
+// Index every user, published post and comment when the index is empty
+// (first start, or the in-memory driver), returns the number of documents
+const ensureSearchIndex = async () => {
+  if ((await db.searchIndex.stats()).documents > 0) {
+    return 0;
+  }
+
+  const users = await db.users.list();
+  for (const user of users) {
+    await indexUser(user);
+  }
+
+  const posts = await db.posts.listPage();
+  for (const post of posts) {
+    await indexPostWithComments(post);
+  }
+
+  return (await db.searchIndex.stats()).documents;
+};
+
+// Rank indexed documents against a query, best first. types limits the
+// results to some of SEARCH_TYPES. Only the best SEARCH_CANDIDATE_LIMIT
+// documents are ranked; the index picks them so a common term never loads
+// its whole posting list. Returns [{ type, id, postId, score }], where id
+// is the document ID (comments: "<postId>:<commentId>").
+const rankDocuments = async (text, { types = SEARCH_TYPES, limit = SEARCH_CANDIDATE_LIMIT } = {}) => {
+  const terms = [...new Set(tokenize(text))].slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const ranked = await db.searchIndex.rank(terms, {
+    types: types.map(type => DOCUMENT_TYPES[type]),
+    limit,
+    k1: K1,
+    b: B,
+    weights: TYPE_WEIGHTS
+  });
+
+  // Ties are broken by key so the order is stable for cursors
+  return ranked
+    .map(result => ({ ...result, score: Math.round(result.score * 1e6) / 1e6 }))
+    .sort((a, b) => (b.score - a.score) || `${a.type}:${a.id}`.localeCompare(`${b.type}:${b.id}`));
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  tokenize,
+  indexPost,
+  indexComment,
+  indexUser,
+  indexPostWithComments,
+  removePost,
+  removeComments,
+  ensureSearchIndex,
+  rankDocuments
+};
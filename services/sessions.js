@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { client } = require('./redis');
+const { generateToken, hashToken } = require('./passwords');
+const db = require('../data');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, stored hashed
+// and rotated on every use
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Denylisted sessions are kept for as long as an access token can live,
+// after that every token issued for the session has expired anyway
+const revokedSessionKey = (sessionId) => `revoked_session:${sessionId}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+// Start a new session for a user, returns its ID and first refresh token
+const createSession = async (userId) => {
+  const { token, tokenHash } = generateToken();
+  const session = await db.sessions.create({
+    id: crypto.randomUUID(),
+    userId,
+    refreshTokenHash: tokenHash,
+    expiresAt: refreshExpiry()
+  });
+
+  return { session, refreshToken: token };
+};
+
+// Exchange a refresh token for a new one. Returns null when the token is
+// unknown, expired or revoked. Presenting a token that was already rotated
+// means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await db.sessions.findByRefreshTokenHash(tokenHash);
+
+  if (!session) {
+    const reused = await db.sessions.findByPreviousTokenHash(tokenHash);
+    if (reused) {
+      console.warn(`⚠️ Refresh token reuse detected, revoking session ${reused.id}`);
+      await revokeSession(reused.id);
+    }
+    return null;
+  }
+
+  if (session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const { token, tokenHash: newHash } = generateToken();
+  const rotated = await db.sessions.rotate(session.id, tokenHash, newHash, refreshExpiry());
+  if (!rotated) {
+    return null;
+  }
+
+  return { session, refreshToken: token };
+};
+
+// Revoke a session and denylist its outstanding access tokens
+const revokeSession = async (sessionId) => {
+  await db.sessions.revoke(sessionId);
+  await client.setex(revokedSessionKey(sessionId), ACCESS_TOKEN_TTL_SECONDS, '1');
+};
+
+// Revoke every active session of a user, optionally keeping one.
+// Returns the IDs of the sessions that were revoked.
+const revokeUserSessions = async (userId, { except } = {}) => {
+  const sessionIds = (await db.sessions.listActiveByUser(userId))
+    .map(session => session.id)
+    .filter(id => id !== except);
+
+  await Promise.all(sessionIds.map(revokeSession));
+  return sessionIds;
+};
+
+// Check the denylist for a session
+const isSessionRevoked = async (sessionId) => {
+  return (await client.exists(revokedSessionKey(sessionId))) === 1;
+};
+
+// Sign out every socket opened with a session's tokens (on any instance)
+const disconnectSessionSockets = (io, sessionId) => {
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionRevoked,
+  disconnectSessionSockets
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Object storage for uploaded media. Each driver is an object with async
+// put(key, buffer, { contentType }), get(key) (Buffer or null) and remove(key)
+// methods; a real backend (S3, GCS, ...) can be plugged in with
+// registerStorageDriver() and selected through MEDIA_STORAGE_DRIVER.
+const drivers = new Map();
+
+// Resolve a storage key inside MEDIA_STORAGE_DIR, refusing keys that escape it
+const localPath = (key) => {
+  const root = path.resolve(process.env.MEDIA_STORAGE_DIR || path.join(process.cwd(), 'media-storage'));
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+// Keep objects as files on the local disk
+const localDriver = {
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(localPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+drivers.set('local', localDriver);
+
+// Register an additional storage driver
+const registerStorageDriver = (name, driver) => {
+  drivers.set(name, driver);
+};
+
+// The configured storage driver
+const getStorage = () => {
+  const name = process.env.MEDIA_STORAGE_DRIVER || 'local';
+  const driver = drivers.get(name);
+
+  if (!driver) {
+    throw new Error(`Unknown MEDIA_STORAGE_DRIVER "${name}"`);
+  }
+  return driver;
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage
+};
@@ -0,0 +1,45 @@
+const { startLockedJob } = require('./jobs');
+const db = require('../data');
+
+// Deleted posts stay in their author's trash, restorable, for this long
+// before the purge job removes them for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+const PURGE_LOCK_KEY = 'job_lock:trash_purge';
+
+// When a trashed post will be purged
+const purgeAt = (post) => new Date(new Date(post.deletedAt).getTime() + RETENTION_MS);
+
+// Whether a trashed post can still be restored
+const isRestorable = (post) => Boolean(post.deletedAt) && purgeAt(post) > new Date();
+
+// Permanently delete every post that has been in the trash longer than the
+// retention window, returns the number purged
+const purgeExpiredPosts = async () => {
+  const purged = await db.posts.purgeDeleted(new Date(Date.now() - RETENTION_MS));
+
+  for (const postId of purged) {
+    await db.feedEntries.removeByPost(postId);
+  }
+  return purged.length;
+};
+
+// Run purgeExpiredPosts on an interval, returns the timer so shutdown can stop it
+const startTrashPurgeJob = () => {
+  return startLockedJob(PURGE_LOCK_KEY, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000, async () => {
+    const count = await purgeExpiredPosts();
+    if (count > 0) {
+      console.log(`🗑️ Purged ${count} posts from the trash`);
+    }
+  }, 'trash purge');
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeAt,
+  isRestorable,
+  purgeExpiredPosts,
+  startTrashPurgeJob
+};
@@ -0,0 +1,95 @@
+// Admin routes: changing a user's type and what it does to their sessions,
+// and the audit log, over HTTP on the in-memory drivers
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../data');
+const authRouter = require('../routes/auth');
+const adminRouter = require('../routes/admin');
+const postsRouter = require('../routes/posts');
+
+// Socket.IO stand-in that records which session rooms were signed out
+const io = {
+  disconnected: [],
+  in: (room) => ({ disconnectSockets: () => io.disconnected.push(room) }),
+  to: () => ({ emit: () => {} }),
+  emit: () => {}
+};
+
+let server;
+let baseUrl;
+
+const call = async (method, path, { body, token } = {}) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = async (email) => (await call('POST', '/login', { body: { email, password: '123456' } })).body.token;
+
+describe('admin routes', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await db.connectDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.set('io', io);
+    app.use(authRouter);
+    app.use('/api/admin', adminRouter);
+    app.use('/api/posts', postsRouter);
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('signs a demoted moderator out so their old token loses its permissions', async () => {
+    const admin = await login('admin@example.com');
+    const moderator = await login('mod@example.com');
+    const firstPost = await db.posts.create({ userId: 1, content: 'Spam' });
+    const secondPost = await db.posts.create({ userId: 1, content: 'More spam' });
+
+    assert.equal((await call('DELETE', `/api/posts/${firstPost.id}`, { token: moderator })).status, 200);
+
+    const demoted = await call('PATCH', '/api/admin/users/4/type', { token: admin, body: { type: 'public' } });
+    assert.equal(demoted.status, 200);
+    assert.equal(demoted.body.user.type, 'public');
+    assert.ok(io.disconnected.length > 0);
+
+    assert.equal((await call('DELETE', `/api/posts/${secondPost.id}`, { token: moderator })).status, 403);
+
+    // Logging back in picks up the new type
+    const relogged = await login('mod@example.com');
+    assert.equal((await call('DELETE', `/api/posts/${secondPost.id}`, { token: relogged })).status, 403);
+    assert.equal((await call('PATCH', '/api/admin/users/4/type', { token: admin, body: { type: 'moderator' } })).status, 200);
+  });
+
+  it('pages through the audit log with cursors', async () => {
+    const admin = await login('admin@example.com');
+    const all = (await call('GET', '/api/admin/audit-log?limit=200', { token: admin })).body.entries;
+    assert.ok(all.length >= 2);
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await call('GET', `/api/admin/audit-log?limit=1${cursor ? `&cursor=${cursor}` : ''}`, { token: admin });
+      assert.equal(page.status, 200);
+      seen.push(...page.body.entries.map(entry => entry.id));
+      cursor = page.body.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, all.map(entry => entry.id));
+    assert.equal((await call('GET', '/api/admin/audit-log?cursor=garbage', { token: admin })).status, 400);
+  });
+});
@@ -0,0 +1,109 @@
+// Accounts: password hashing, logging in and password resets, over HTTP on
+// the in-memory drivers
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../data');
+const authRouter = require('../routes/auth');
+const { hashPassword, verifyPassword } = require('../services/passwords');
+const { registerTransport } = require('../services/mail');
+
+// Mail transport that keeps every message
+const outbox = [];
+registerTransport('test', { send: async (message) => outbox.push(message) });
+
+let server;
+let baseUrl;
+
+const call = async (method, path, { body, token } = {}) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Every test works on its own account
+let nextAccount = 1;
+const register = async (password = 'first-password-1') => {
+  const email = `account${nextAccount++}@example.com`;
+  const response = await call('POST', '/register', { body: { email, password, name: 'Test Account' } });
+  assert.equal(response.status, 201);
+  return { email, password, ...response.body };
+};
+
+const login = (email, password) => call('POST', '/login', { body: { email, password } });
+// Whether an access token is still accepted; logs its session out when it is
+const isUsable = async (token) => (await call('POST', '/auth/logout', { token, body: {} })).status === 200;
+
+describe('auth', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await db.connectDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use(authRouter);
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  describe('passwords', () => {
+    it('stores salted scrypt hashes and verifies them', async () => {
+      const first = await hashPassword('correct horse');
+      const second = await hashPassword('correct horse');
+
+      assert.match(first, /^scrypt\$/);
+      assert.notEqual(first, second);
+      assert.equal(await verifyPassword('correct horse', first), true);
+      assert.equal(await verifyPassword('wrong horse', first), false);
+    });
+
+    it('only logs in with the right password', async () => {
+      const account = await register();
+      assert.equal((await login(account.email, account.password)).status, 200);
+      assert.equal((await login(account.email, 'not-the-password')).status, 401);
+    });
+  });
+
+  describe('password resets', () => {
+    const requestReset = async (email) => {
+      assert.equal((await call('POST', '/auth/forgot-password', { body: { email } })).status, 200);
+      const mail = outbox.filter(message => message.to === email).pop();
+      return mail.text.match(/token=([^\s]+)/)[1];
+    };
+
+    it('resets the password once per token and signs out every session', async () => {
+      const account = await register();
+      const token = await requestReset(account.email);
+
+      const reset = await call('POST', '/auth/reset-password', { body: { token, newPassword: 'second-password-2' } });
+      assert.equal(reset.status, 200);
+      assert.equal(await isUsable(account.token), false);
+      assert.equal((await login(account.email, account.password)).status, 401);
+      assert.equal((await login(account.email, 'second-password-2')).status, 200);
+
+      const reused = await call('POST', '/auth/reset-password', { body: { token, newPassword: 'third-password-3' } });
+      assert.equal(reused.status, 400);
+      assert.equal((await login(account.email, 'third-password-3')).status, 401);
+    });
+
+    it('answers the same for unknown accounts without sending mail', async () => {
+      const sent = outbox.length;
+      const response = await call('POST', '/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+      assert.equal(response.status, 200);
+      assert.equal(outbox.length, sent);
+    });
+  });
+});
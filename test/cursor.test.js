@@ -0,0 +1,21 @@
+// Pagination cursors
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, isValidTimeCursor } = require('../services/cursor');
+
+describe('cursors', () => {
+  it('round-trips a cursor and rejects malformed ones', () => {
+    const cursor = { t: '2026-05-01T12:00:00.000Z', id: 7 };
+    assert.deepEqual(decodeCursor(encodeCursor(cursor)), cursor);
+    assert.equal(decodeCursor(''), null);
+    assert.equal(decodeCursor('not json'), undefined);
+  });
+
+  it('only accepts time cursors with a valid timestamp and ID', () => {
+    assert.equal(isValidTimeCursor({ t: '2026-05-01T12:00:00.000Z', id: 7 }), true);
+    assert.equal(isValidTimeCursor({ t: 'garbage', id: 7 }), false);
+    assert.equal(isValidTimeCursor({ t: 1714564800000, id: 7 }), false);
+    assert.equal(isValidTimeCursor({ t: '2026-05-01T12:00:00.000Z', id: '7' }), false);
+    assert.equal(isValidTimeCursor({ t: '2026-05-01T12:00:00.000Z', id: 'a' }, id => typeof id === 'string'), true);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_CHANNELS, EventValidationError, validateEvent, assertValidEvent } = require('../services/eventSchemas');
+
+const post = { id: 7, userId: 1, content: 'Hello #world', timestamp: new Date().toISOString() };
+const comment = { id: 3, postId: 7, userId: 2, parentId: null, text: 'Nice one' };
+const celebrity = { id: 1, name: 'John Celebrity', type: 'celebrity' };
+const fan = { id: 2, name: 'Jane Public', type: 'public' };
+
+const validPayloads = {
+  newPost: { post, author: celebrity },
+  newReaction: { post, reaction: 'love', reactor: fan, postAuthor: celebrity },
+  newComment: { post, comment, commenter: fan, postAuthor: celebrity },
+  newReply: { post, comment: { ...comment, id: 4, parentId: 3, userId: 1 }, replier: celebrity, parentAuthor: fan },
+  newMention: { post, comment: null, mentioner: celebrity, mentionedIds: [2] }
+};
+
+describe('event schemas', () => {
+  it('has a schema for every channel routes publish to', () => {
+    assert.deepEqual([...EVENT_CHANNELS].sort(), Object.keys(validPayloads).sort());
+  });
+
+  for (const [channel, payload] of Object.entries(validPayloads)) {
+    it(`accepts a well-formed ${channel} payload`, () => {
+      assert.deepEqual(validateEvent(channel, payload), []);
+    });
+  }
+
+  it('rejects channels without a schema', () => {
+    assert.deepEqual(validateEvent('newLike', { post }), [
+      { path: '', message: 'has no schema for channel "newLike"' }
+    ]);
+  });
+
+  it('rejects a payload that is not an object', () => {
+    assert.deepEqual(validateEvent('newPost', null), [{ path: '', message: 'must be an object' }]);
+  });
+
+  it('reports every invalid field with its path', () => {
+    const errors = validateEvent('newComment', {
+      post,
+      comment: { ...comment, id: '3', text: '' },
+      commenter: { id: 2, type: 'public' }
+    });
+
+    assert.deepEqual(errors, [
+      { path: 'comment.id', message: 'must be a positive integer' },
+      { path: 'comment.text', message: 'must be a non-empty string' },
+      { path: 'commenter.name', message: 'must be a non-empty string' },
+      { path: 'postAuthor', message: 'must be an object' }
+    ]);
+  });
+
+  it('rejects unknown reactions', () => {
+    const errors = validateEvent('newReaction', { ...validPayloads.newReaction, reaction: 'meh' });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, 'reaction');
+  });
+
+  it('requires a parent on replies', () => {
+    const errors = validateEvent('newReply', { ...validPayloads.newReply, comment });
+    assert.deepEqual(errors, [{ path: 'comment.parentId', message: 'must be a positive integer' }]);
+  });
+
+  it('requires at least one mentioned user', () => {
+    const errors = validateEvent('newMention', { ...validPayloads.newMention, mentionedIds: [] });
+    assert.deepEqual(errors, [{ path: 'mentionedIds', message: 'must be a non-empty array' }]);
+  });
+
+  it('rejects a comment that belongs to another post', () => {
+    const errors = validateEvent('newComment', { ...validPayloads.newComment, comment: { ...comment, postId: 8 } });
+    assert.deepEqual(errors, [{ path: 'comment.postId', message: 'must match post.id (7)' }]);
+  });
+
+  it('rejects a post author who did not write the post', () => {
+    const errors = validateEvent('newReaction', { ...validPayloads.newReaction, postAuthor: fan });
+    assert.deepEqual(errors, [{ path: 'postAuthor.id', message: 'must match post.userId (1)' }]);
+  });
+
+  it('throws a structured error from assertValidEvent', () => {
+    assert.throws(() => assertValidEvent('newPost', { post }), (error) => {
+      assert.ok(error instanceof EventValidationError);
+      assert.equal(error.channel, 'newPost');
+      assert.deepEqual(error.errors, [{ path: 'author', message: 'must be an object' }]);
+      assert.equal(error.message, 'Malformed newPost event: author must be an object');
+      return true;
+    });
+  });
+});
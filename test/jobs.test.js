@@ -0,0 +1,53 @@
+// Locked interval jobs, on the in-memory Redis driver
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startLockedJob } = require('../services/jobs');
+
+// Let the awaited lock and task calls finish
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('locked jobs', () => {
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('runs each round on one instance only', async () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: new Date('2026-05-01T12:00:00Z') });
+    const runs = [];
+    const timers = ['a', 'b'].map(instance => startLockedJob('job_lock:test_single', 60 * 1000, async () => {
+      runs.push(instance);
+    }, 'test job'));
+
+    mock.timers.tick(60 * 1000);
+    await flush();
+    assert.equal(runs.length, 1);
+
+    // The lock has expired by the next round
+    mock.timers.tick(60 * 1000);
+    await flush();
+    assert.equal(runs.length, 2);
+    timers.forEach(clearInterval);
+  });
+
+  it('logs a failing task and keeps running', async () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: new Date('2026-05-01T12:00:00Z') });
+    const errors = mock.method(console, 'error', () => {});
+    let runs = 0;
+    const timer = startLockedJob('job_lock:test_failing', 60 * 1000, async () => {
+      runs += 1;
+      throw new Error('Database is down');
+    }, 'test job');
+
+    mock.timers.tick(60 * 1000);
+    await flush();
+    mock.timers.tick(60 * 1000);
+    await flush();
+
+    assert.equal(runs, 2);
+    assert.equal(errors.mock.calls[0].arguments[0], '❌ Error running test job:');
+    clearInterval(timer);
+  });
+});
@@ -0,0 +1,177 @@
+// Publishes events on each Redis channel and checks the notifications they
+// turn into, using the in-memory database and Redis drivers
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const crypto = require('crypto');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { publisher, publishMessage } = require('../services/redis');
+const db = require('../data');
+const { getNotifications } = require('../services/notifications');
+const { subscribeToNotificationEvents } = require('../services/notificationEvents');
+
+// Socket.IO stand-in that records what sendNotificationToUser emits
+const io = {
+  emitted: [],
+  to: (room) => ({ emit: (event, data) => io.emitted.push({ room, event, data }) })
+};
+
+const ref = (user) => ({ id: user.id, name: user.name, type: user.type });
+
+// A user's notifications about one post
+const notificationsAbout = async (userId, postId) => {
+  const { notifications } = await getNotifications(userId, { limit: 100 });
+  return notifications.filter(notification => notification.data.postId === postId);
+};
+
+// Wait until a condition holds (handlers run asynchronously after publish)
+const waitFor = async (condition, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the event to be handled');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+// Give handlers a chance to run when nothing should happen
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('notification events', () => {
+  let celebrity;
+  let fan;
+  let admin;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await db.connectDatabase();
+    await subscribeToNotificationEvents(io);
+    [celebrity, fan, admin] = await db.users.findByIds([1, 2, 3]);
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('notifies a celebrity\'s followers about a new post', async () => {
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Big news' });
+
+    assert.equal(await publishMessage('newPost', { post, author: ref(celebrity) }), true);
+    await waitFor(async () => (await notificationsAbout(fan.id, post.id)).length === 1);
+
+    const [notification] = await notificationsAbout(fan.id, post.id);
+    assert.equal(notification.type, 'newPost');
+    assert.equal(notification.data.authorId, celebrity.id);
+    assert.equal(notification.data.content, 'Big news');
+    assert.ok(io.emitted.some(({ room, event, data }) => room === `user_${fan.id}` && event === 'newNotification' && data.data.postId === post.id));
+  });
+
+  it('does not notify followers of accounts without follower alerts', async () => {
+    await db.follows.follow(admin.id, fan.id);
+    const post = await db.posts.create({ userId: fan.id, content: 'Just me' });
+
+    await publishMessage('newPost', { post, author: ref(fan) });
+    await settle();
+
+    assert.deepEqual(await notificationsAbout(admin.id, post.id), []);
+    await db.follows.unfollow(admin.id, fan.id);
+  });
+
+  it('notifies the post author about a reaction', async () => {
+    const post = await db.posts.create({ userId: celebrity.id, content: 'React to this' });
+
+    await publishMessage('newReaction', { post, reaction: 'love', reactor: ref(fan), postAuthor: ref(celebrity) });
+    await waitFor(async () => (await notificationsAbout(celebrity.id, post.id)).length === 1);
+
+    const [notification] = await notificationsAbout(celebrity.id, post.id);
+    assert.equal(notification.type, 'newReaction');
+    assert.equal(notification.data.reaction, 'love');
+    assert.equal(notification.data.reactorId, fan.id);
+  });
+
+  it('notifies the post author about a comment', async () => {
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Comment on this' });
+    const comment = await db.comments.create(post.id, { userId: fan.id, text: 'First!' });
+
+    await publishMessage('newComment', { post, comment, commenter: ref(fan), postAuthor: ref(celebrity) });
+    await waitFor(async () => (await notificationsAbout(celebrity.id, post.id)).length === 1);
+
+    const [notification] = await notificationsAbout(celebrity.id, post.id);
+    assert.equal(notification.type, 'newComment');
+    assert.equal(notification.data.commentId, comment.id);
+    assert.equal(notification.data.commenterId, fan.id);
+    assert.equal(notification.data.commentText, 'First!');
+  });
+
+  it('does not notify authors commenting on their own post', async () => {
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Talking to myself' });
+    const comment = await db.comments.create(post.id, { userId: celebrity.id, text: 'Me again' });
+
+    await publishMessage('newComment', { post, comment, commenter: ref(celebrity), postAuthor: ref(celebrity) });
+    await settle();
+
+    assert.deepEqual(await notificationsAbout(celebrity.id, post.id), []);
+  });
+
+  it('notifies the parent comment\'s author about a reply', async () => {
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Thread starter' });
+    const parent = await db.comments.create(post.id, { userId: fan.id, text: 'A question' });
+    const reply = await db.comments.create(post.id, { userId: admin.id, text: 'An answer', parentId: parent.id });
+
+    await publishMessage('newReply', { post, comment: reply, replier: ref(admin), parentAuthor: ref(fan) });
+    await waitFor(async () => (await notificationsAbout(fan.id, post.id)).length === 1);
+
+    const [notification] = await notificationsAbout(fan.id, post.id);
+    assert.equal(notification.type, 'newReply');
+    assert.equal(notification.data.parentId, parent.id);
+    assert.equal(notification.data.replyText, 'An answer');
+  });
+
+  it('notifies every mentioned user', async () => {
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Hi @jane_public and @ada_admin' });
+
+    await publishMessage('newMention', { post, comment: null, mentioner: ref(celebrity), mentionedIds: [fan.id, admin.id] });
+    await waitFor(async () => (await notificationsAbout(fan.id, post.id)).length === 1 && (await notificationsAbout(admin.id, post.id)).length === 1);
+
+    const [notification] = await notificationsAbout(admin.id, post.id);
+    assert.equal(notification.type, 'mention');
+    assert.equal(notification.data.commentId, null);
+    assert.equal(notification.data.content, 'Hi @jane_public and @ada_admin');
+  });
+
+  it('refuses to publish a malformed payload', async () => {
+    const errorLog = mock.method(console, 'error', () => {});
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Broken event' });
+
+    const published = await publishMessage('newComment', { post, commenter: ref(fan), postAuthor: ref(celebrity) });
+    await settle();
+
+    assert.equal(published, false);
+    assert.deepEqual(await notificationsAbout(celebrity.id, post.id), []);
+    assert.deepEqual(errorLog.mock.calls[0].arguments[1].errors, [{ path: 'comment', message: 'must be an object' }]);
+    errorLog.mock.restore();
+  });
+
+  it('drops malformed events received from other instances', async () => {
+    const errorLog = mock.method(console, 'error', () => {});
+    const post = await db.posts.create({ userId: celebrity.id, content: 'Old instance' });
+    const comment = await db.comments.create(post.id, { userId: fan.id, text: 'Sent with the old signature' });
+
+    // An event without the post author, as a publisher without schemas might send it
+    await publisher.publish('newComment', JSON.stringify({
+      eventId: crypto.randomUUID(),
+      payload: { post, comment, commenter: ref(fan) }
+    }));
+    await publisher.publish('newReaction', 'not json');
+    await waitFor(() => errorLog.mock.callCount() === 2);
+
+    assert.deepEqual(await notificationsAbout(celebrity.id, post.id), []);
+    assert.deepEqual(errorLog.mock.calls.map(call => call.arguments), [
+      ['❌ Rejected malformed event on newComment:', [{ path: 'payload.postAuthor', message: 'must be an object' }]],
+      ['❌ Rejected malformed event on newReaction:', [{ path: '', message: 'is not valid JSON' }]]
+    ]);
+    errorLog.mock.restore();
+  });
+});
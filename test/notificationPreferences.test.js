@@ -0,0 +1,242 @@
+// Notification preferences: validation, delivery rules and their effect on
+// the events published to Redis, using the in-memory drivers
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { publishMessage } = require('../services/redis');
+const db = require('../data');
+const {
+  addNotification,
+  getNotifications,
+  createFollowNotification,
+  createPostNotification
+} = require('../services/notifications');
+const { subscribeToNotificationEvents } = require('../services/notificationEvents');
+const {
+  PreferencesError,
+  isQuietTime,
+  getPreferences,
+  updatePreferences,
+  mute,
+  unmute,
+  resolveDelivery,
+  sendMissedNotifications,
+  releaseHeldNotifications
+} = require('../services/notificationPreferences');
+
+// Socket.IO stand-in that records what sendNotificationToUser emits
+const io = {
+  emitted: [],
+  to: (room) => ({ emit: (event, data) => io.emitted.push({ room, event, data }) })
+};
+
+const ref = (user) => ({ id: user.id, name: user.name, type: user.type });
+
+const notificationsAbout = async (userId, postId) => {
+  const { notifications } = await getNotifications(userId, { limit: 100 });
+  return notifications.filter(notification => notification.data.postId === postId);
+};
+
+const pushedAbout = (userId, postId) => {
+  return io.emitted.filter(({ room, data }) => room === `user_${userId}` && data.data.postId === postId);
+};
+
+// Give handlers a chance to run
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('notification preferences', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await db.connectDatabase();
+    await subscribeToNotificationEvents(io);
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  describe('quiet hours', () => {
+    const overnight = { start: '22:00', end: '07:00', timezone: 'UTC' };
+
+    it('covers windows that wrap past midnight', () => {
+      assert.equal(isQuietTime(overnight, new Date('2026-03-01T23:30:00Z')), true);
+      assert.equal(isQuietTime(overnight, new Date('2026-03-01T06:59:00Z')), true);
+      assert.equal(isQuietTime(overnight, new Date('2026-03-01T07:00:00Z')), false);
+      assert.equal(isQuietTime(overnight, new Date('2026-03-01T12:00:00Z')), false);
+    });
+
+    it('uses the user\'s time zone', () => {
+      const berlin = { start: '09:00', end: '17:00', timezone: 'Europe/Berlin' };
+      assert.equal(isQuietTime(berlin, new Date('2026-01-15T08:30:00Z')), true);
+      assert.equal(isQuietTime(berlin, new Date('2026-01-15T16:30:00Z')), false);
+    });
+
+    it('holds back socket pushes but still stores', () => {
+      const preferences = { types: {}, quietHours: overnight, mutedUserIds: [], mutedPostIds: [] };
+      assert.deepEqual(
+        resolveDelivery(preferences, { type: 'newComment' }, {}, new Date('2026-03-01T01:00:00Z')),
+        { inApp: false, stored: true, held: true }
+      );
+      assert.deepEqual(
+        resolveDelivery(preferences, { type: 'newComment' }, {}, new Date('2026-03-01T12:00:00Z')),
+        { inApp: true, stored: true, held: false }
+      );
+    });
+
+    it('cannot hold pushes of notifications that are not stored', () => {
+      const preferences = {
+        types: { newComment: { inApp: true, stored: false } },
+        quietHours: overnight,
+        mutedUserIds: [],
+        mutedPostIds: []
+      };
+      assert.deepEqual(
+        resolveDelivery(preferences, { type: 'newComment' }, {}, new Date('2026-03-01T01:00:00Z')),
+        { inApp: false, stored: false, held: false }
+      );
+    });
+  });
+
+  describe('updating', () => {
+    it('starts with every type on every channel', async () => {
+      const preferences = await getPreferences(4);
+      assert.deepEqual(preferences.types.newPost, { inApp: true, stored: true });
+      assert.equal(preferences.quietHours, null);
+    });
+
+    it('merges channel changes into the current settings', async () => {
+      await updatePreferences(4, { types: { newReaction: { inApp: false } } });
+      const preferences = await updatePreferences(4, { types: { newReaction: { stored: false } }, quietHours: { start: '23:00', end: '06:30' } });
+
+      assert.deepEqual(preferences.types.newReaction, { inApp: false, stored: false });
+      assert.deepEqual(preferences.types.newComment, { inApp: true, stored: true });
+      assert.deepEqual(preferences.quietHours, { start: '23:00', end: '06:30', timezone: 'UTC' });
+    });
+
+    it('rejects invalid settings', async () => {
+      const invalid = [
+        { types: { likes: { inApp: false } } },
+        { types: { newPost: { email: false } } },
+        { types: { newPost: { inApp: 'no' } } },
+        { quietHours: { start: '25:00', end: '07:00' } },
+        { quietHours: { start: '07:00', end: '07:00' } },
+        { quietHours: { start: '22:00', end: '07:00', timezone: 'Mars/Olympus' } }
+      ];
+
+      for (const changes of invalid) {
+        await assert.rejects(updatePreferences(4, changes), (error) => {
+          return error instanceof PreferencesError && error.status === 400;
+        });
+      }
+    });
+
+    it('refuses to mute yourself or something that does not exist', async () => {
+      await assert.rejects(mute(4, 'user', 4), { status: 400 });
+      await assert.rejects(mute(4, 'user', 999), { status: 404 });
+      await assert.rejects(mute(4, 'post', 999), { status: 404 });
+    });
+  });
+
+  describe('delivery', () => {
+    it('skips followers who turned off new post notifications', async () => {
+      await updatePreferences(2, { types: { newPost: { inApp: false, stored: false } } });
+      const post = await db.posts.create({ userId: 1, content: 'Nobody hears this' });
+
+      await publishMessage('newPost', { post, author: ref(await db.users.findById(1)) });
+      await settle();
+
+      assert.deepEqual(await notificationsAbout(2, post.id), []);
+      assert.deepEqual(pushedAbout(2, post.id), []);
+      await updatePreferences(2, { types: { newPost: { inApp: true, stored: true } } });
+    });
+
+    it('stores without pushing when only the in-app channel is off', async () => {
+      await updatePreferences(1, { types: { newComment: { inApp: false } } });
+      const post = await db.posts.create({ userId: 1, content: 'Quiet comments' });
+      const comment = await db.comments.create(post.id, { userId: 2, text: 'Hello' });
+      const [author, commenter] = await db.users.findByIds([1, 2]);
+
+      await publishMessage('newComment', { post, comment, commenter: ref(commenter), postAuthor: ref(author) });
+      await settle();
+
+      assert.equal((await notificationsAbout(1, post.id)).length, 1);
+      assert.deepEqual(pushedAbout(1, post.id), []);
+    });
+
+    it('drops notifications caused by muted users and about muted posts', async () => {
+      const [author, fan, admin] = await db.users.findByIds([1, 2, 3]);
+      const post = await db.posts.create({ userId: 1, content: 'Popular post' });
+      await mute(1, 'user', 2);
+      await mute(1, 'post', post.id);
+
+      await publishMessage('newReaction', { post, reaction: 'like', reactor: ref(fan), postAuthor: ref(author) });
+      await publishMessage('newReaction', { post, reaction: 'wow', reactor: ref(admin), postAuthor: ref(author) });
+      await settle();
+      assert.deepEqual(await notificationsAbout(1, post.id), []);
+
+      await unmute(1, 'post', post.id);
+      await publishMessage('newReaction', { post, reaction: 'wow', reactor: ref(admin), postAuthor: ref(author) });
+      await settle();
+      assert.deepEqual((await notificationsAbout(1, post.id)).map(notification => notification.data.reactorId), [3]);
+      await unmute(1, 'user', 2);
+    });
+
+    it('pushes what quiet hours held back once they are over', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+      await updatePreferences(1, { quietHours: { start: '11:00', end: '13:00' } });
+      const [author, admin] = await db.users.findByIds([1, 3]);
+      const post = await db.posts.create({ userId: 1, content: 'Posted at lunch' });
+
+      await publishMessage('newReaction', { post, reaction: 'like', reactor: ref(admin), postAuthor: ref(author) });
+      await settle();
+      assert.equal((await notificationsAbout(1, post.id)).length, 1);
+      assert.deepEqual(pushedAbout(1, post.id), []);
+
+      assert.equal(await releaseHeldNotifications(io, new Date('2026-03-01T12:30:00Z')), 0);
+      assert.equal(await releaseHeldNotifications(io, new Date('2026-03-01T13:00:00Z')), 1);
+      assert.equal(pushedAbout(1, post.id).length, 1);
+      assert.equal(await releaseHeldNotifications(io, new Date('2026-03-01T13:00:00Z')), 0);
+
+      mock.timers.reset();
+      await updatePreferences(1, { quietHours: null });
+    });
+  });
+
+  describe('catch-up', () => {
+    // Socket stand-in for the device that reconnects
+    const reconnectingSocket = () => {
+      const socket = { emitted: [], emit: (event, data) => socket.emitted.push({ event, data }) };
+      return socket;
+    };
+
+    it('replays only the types pushed in-app, and holds them during quiet hours', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+      const [author, fan] = await db.users.findByIds([1, 2]);
+      const seen = await addNotification(3, createFollowNotification(fan));
+      mock.timers.tick(1000);
+      const follow = await addNotification(3, createFollowNotification(author));
+      mock.timers.tick(1000);
+      await addNotification(3, createPostNotification({ id: 500, userId: 1, content: 'Missed post' }, author));
+      await updatePreferences(3, { types: { newPost: { inApp: false } } });
+
+      const socket = reconnectingSocket();
+      assert.equal(await sendMissedNotifications(socket, 3, seen.id), 1);
+      assert.deepEqual(socket.emitted, [
+        { event: 'newNotification', data: follow },
+        { event: 'missedNotifications', data: { count: 1, held: 0, hasMore: false } }
+      ]);
+
+      await updatePreferences(3, { quietHours: { start: '11:00', end: '13:00' } });
+      const quietSocket = reconnectingSocket();
+      assert.equal(await sendMissedNotifications(quietSocket, 3, seen.id), 0);
+      assert.deepEqual(quietSocket.emitted, [{ event: 'missedNotifications', data: { count: 0, held: 1, hasMore: false } }]);
+
+      assert.equal(await releaseHeldNotifications(io, new Date('2026-03-01T13:30:00Z')), 1);
+      assert.deepEqual(io.emitted.filter(({ room }) => room === 'user_3').map(({ data }) => data.id), [follow.id]);
+      mock.timers.reset();
+      await updatePreferences(3, { quietHours: null, types: { newPost: { inApp: true } } });
+    });
+  });
+});
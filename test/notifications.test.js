@@ -0,0 +1,288 @@
+// The notification store: grouping, paging, read state, deletion, catch-up
+// after a reconnect and retention, on the in-memory driver
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { decodeCursor } = require('../services/cursor');
+const {
+  isNotificationId,
+  addNotification,
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getMissedNotifications,
+  acknowledgeNotifications,
+  createPostNotification,
+  createReactionNotification,
+  createCommentNotification,
+  createFollowNotification
+} = require('../services/notifications');
+const { NOTIFICATION_RETENTION_DAYS, purgeExpiredNotifications } = require('../services/notificationRetention');
+
+const post = { id: 10, userId: 1, content: 'Viral post' };
+const otherPost = { id: 11, userId: 1, content: 'Quiet post' };
+const users = ['Jane', 'John', 'Ada', 'Max', 'Sam'].map((name, index) => ({ id: index + 2, name, type: 'public' }));
+
+// Every test works on its own recipient
+let nextUserId = 100;
+
+const list = async (userId, options) => (await getNotifications(userId, options)).notifications;
+
+describe('notification store', () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('grouping', () => {
+    it('groups reactions to the same post into one entry', async () => {
+      const userId = nextUserId++;
+      const first = await addNotification(userId, createReactionNotification(post, users[0], 'like'));
+      const second = await addNotification(userId, createReactionNotification(post, users[1], 'love'));
+
+      assert.equal(second.id, first.id);
+      assert.equal(second.actorCount, 2);
+      assert.equal(second.message, 'John and Jane reacted to your post');
+      assert.equal(second.data.reaction, 'love');
+      assert.equal((await list(userId)).length, 1);
+      assert.equal(await getUnreadCount(userId), 1);
+    });
+
+    it('counts every actor and lists the most recent ones', async () => {
+      const userId = nextUserId++;
+      for (const user of users) {
+        await addNotification(userId, createReactionNotification(post, user, 'like'));
+      }
+
+      const [group] = await list(userId);
+      assert.equal(group.actorCount, 5);
+      assert.deepEqual(group.actors.map(actor => actor.name), ['Sam', 'Max', 'Ada']);
+      assert.equal(group.message, 'Sam and 4 others reacted to your post');
+      assert.equal(group.actorIds, undefined);
+    });
+
+    it('counts an actor once however often they comment', async () => {
+      const userId = nextUserId++;
+      await addNotification(userId, createCommentNotification(post, { id: 1, text: 'One' }, users[0]));
+      const group = await addNotification(userId, createCommentNotification(post, { id: 2, text: 'Two' }, users[0]));
+
+      assert.equal(group.actorCount, 1);
+      assert.equal(group.message, 'Jane commented on your post');
+      assert.equal(group.data.commentText, 'Two');
+    });
+
+    it('keeps posts and types apart', async () => {
+      const userId = nextUserId++;
+      await addNotification(userId, createReactionNotification(post, users[0], 'like'));
+      await addNotification(userId, createReactionNotification(otherPost, users[0], 'like'));
+      await addNotification(userId, createCommentNotification(post, { id: 1, text: 'Hi' }, users[0]));
+      await addNotification(userId, createPostNotification(post, users[0]));
+      await addNotification(userId, createPostNotification(post, users[0]));
+
+      assert.equal((await list(userId)).length, 5);
+    });
+
+    it('brings a read group back to the top as unread', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      const group = await addNotification(userId, createReactionNotification(post, users[0], 'like'));
+      mock.timers.tick(1000);
+      await addNotification(userId, createCommentNotification(otherPost, { id: 1, text: 'Hi' }, users[1]));
+      await markAllAsRead(userId);
+
+      mock.timers.tick(1000);
+      await addNotification(userId, createReactionNotification(post, users[2], 'wow'));
+
+      const [first, second] = await list(userId);
+      assert.equal(first.id, group.id);
+      assert.equal(first.read, false);
+      assert.equal(second.read, true);
+      assert.equal(await getUnreadCount(userId), 1);
+    });
+
+    it('starts a new group once the window has passed', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      const first = await addNotification(userId, createReactionNotification(post, users[0], 'like'));
+
+      mock.timers.tick(59 * 60 * 1000);
+      assert.equal((await addNotification(userId, createReactionNotification(post, users[1], 'like'))).id, first.id);
+
+      mock.timers.tick(2 * 60 * 1000);
+      const later = await addNotification(userId, createReactionNotification(post, users[2], 'like'));
+      assert.notEqual(later.id, first.id);
+      assert.equal(later.actorCount, 1);
+      assert.equal((await list(userId)).length, 2);
+    });
+  });
+
+  describe('listing', () => {
+    it('uses string IDs', async () => {
+      const notification = await addNotification(nextUserId++, createFollowNotification(users[0]));
+      assert.equal(isNotificationId(notification.id), true);
+      assert.equal(isNotificationId([notification.id]), false);
+      assert.equal(isNotificationId(notification.id.toUpperCase()), false);
+    });
+
+    it('pages through every notification with cursors', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      for (let i = 0; i < 7; i++) {
+        await addNotification(userId, createPostNotification({ id: 200 + i, userId: 1, content: `Post ${i}` }, users[0]));
+        // Two of them share a timestamp and are ordered by ID
+        if (i !== 3) {
+          mock.timers.tick(1000);
+        }
+      }
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = await getNotifications(userId, { limit: 3, cursor });
+        seen.push(...page.notifications.map(notification => notification.data.postId));
+        cursor = page.nextCursor && decodeCursor(page.nextCursor);
+      } while (cursor);
+
+      assert.deepEqual(seen.slice(0, 2), [206, 205]);
+      assert.deepEqual([...seen.slice(2, 4)].sort(), [203, 204]);
+      assert.deepEqual(seen.slice(4), [202, 201, 200]);
+    });
+
+    it('filters by type and unread state', async () => {
+      const userId = nextUserId++;
+      const follow = await addNotification(userId, createFollowNotification(users[0]));
+      await addNotification(userId, createFollowNotification(users[1]));
+      await addNotification(userId, createPostNotification(post, users[0]));
+      await markAsRead(userId, follow.id);
+
+      assert.equal((await list(userId, { type: 'newFollower' })).length, 2);
+      assert.equal((await list(userId, { unreadOnly: true })).length, 2);
+      assert.deepEqual((await list(userId, { type: 'newFollower', unreadOnly: true })).map(n => n.data.followerName), ['John']);
+    });
+  });
+
+  describe('read state and deletion', () => {
+    it('marks one notification as read by its ID', async () => {
+      const userId = nextUserId++;
+      const notification = await addNotification(userId, createFollowNotification(users[0]));
+
+      assert.equal(await markAsRead(userId, notification.id), true);
+      assert.equal(await getUnreadCount(userId), 0);
+      assert.equal(await markAsRead(userId, 'not-an-id'), false);
+      assert.equal(await markAsRead(nextUserId++, notification.id), false);
+    });
+
+    it('deletes only the owner\'s notifications', async () => {
+      const userId = nextUserId++;
+      const notification = await addNotification(userId, createFollowNotification(users[0]));
+
+      assert.equal(await deleteNotification(nextUserId++, notification.id), false);
+      assert.equal(await deleteNotification(userId, notification.id), true);
+      assert.equal(await deleteNotification(userId, notification.id), false);
+      assert.deepEqual(await list(userId), []);
+    });
+  });
+
+  describe('catch-up and acknowledgements', () => {
+    // Add follow notifications from each user a second apart
+    const addFollows = async (userId, followers) => {
+      const added = [];
+      for (const follower of followers) {
+        added.push(await addNotification(userId, createFollowNotification(follower)));
+        mock.timers.tick(1000);
+      }
+      return added;
+    };
+
+    it('marks acknowledged notifications as delivered', async () => {
+      const userId = nextUserId++;
+      const [first, second] = await Promise.all(users.slice(0, 2).map(user => addNotification(userId, createFollowNotification(user))));
+      assert.equal(first.delivered, false);
+
+      assert.equal(await acknowledgeNotifications(userId, [first.id, first.id, 'not-an-id', [second.id]]), 1);
+      assert.equal(await acknowledgeNotifications(userId, [first.id]), 0);
+      assert.equal(await acknowledgeNotifications(nextUserId++, [second.id]), 0);
+
+      const delivered = Object.fromEntries((await list(userId)).map(n => [n.id, n.delivered]));
+      assert.deepEqual(delivered, { [first.id]: true, [second.id]: false });
+    });
+
+    it('counts read notifications as delivered', async () => {
+      const userId = nextUserId++;
+      const notification = await addNotification(userId, createFollowNotification(users[0]));
+      await markAsRead(userId, notification.id);
+
+      assert.equal((await list(userId))[0].delivered, true);
+    });
+
+    it('replays everything after the last seen notification, oldest first', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      const [, seen, ...missed] = await addFollows(userId, users);
+      // Another device already received these
+      await acknowledgeNotifications(userId, missed.map(n => n.id));
+
+      const replay = await getMissedNotifications(userId, seen.id);
+      assert.deepEqual(replay.notifications.map(n => n.id), missed.map(n => n.id));
+      assert.equal(replay.hasMore, false);
+    });
+
+    it('replays a group that grew after it was seen', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      const group = await addNotification(userId, createReactionNotification(post, users[0], 'like'));
+      mock.timers.tick(1000);
+      const [follow] = await addFollows(userId, [users[1]]);
+      await addNotification(userId, createReactionNotification(post, users[2], 'love'));
+
+      const { notifications } = await getMissedNotifications(userId, group.id);
+      assert.deepEqual(notifications.map(n => n.id), [follow.id, group.id]);
+      assert.equal(notifications[1].actorCount, 2);
+      assert.equal(notifications[1].delivered, false);
+    });
+
+    it('replays undelivered notifications without a known last notification', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      const [first, second, third] = await addFollows(userId, users.slice(0, 3));
+      await acknowledgeNotifications(userId, [second.id]);
+
+      for (const lastNotificationId of [null, 'not-an-id', [first.id], crypto.randomUUID()]) {
+        const { notifications } = await getMissedNotifications(userId, lastNotificationId);
+        assert.deepEqual(notifications.map(n => n.id), [first.id, third.id]);
+      }
+    });
+
+    it('limits the replay to some types and a number of notifications', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-05-01T12:00:00Z') });
+      const userId = nextUserId++;
+      const follows = await addFollows(userId, users.slice(0, 3));
+      await addNotification(userId, createPostNotification(post, users[0]));
+
+      const replay = await getMissedNotifications(userId, null, { types: ['newFollower'], limit: 2 });
+      assert.deepEqual(replay.notifications.map(n => n.id), follows.slice(0, 2).map(n => n.id));
+      assert.equal(replay.hasMore, true);
+    });
+  });
+
+  describe('retention', () => {
+    it('purges notifications with no activity within the retention window', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T00:00:00Z') });
+      const userId = nextUserId++;
+      await addNotification(userId, createFollowNotification(users[0]));
+      const group = await addNotification(userId, createReactionNotification(post, users[0], 'like'));
+
+      // Activity on the group keeps it alive
+      mock.timers.tick(30 * 60 * 1000);
+      await addNotification(userId, createReactionNotification(post, users[1], 'like'));
+
+      mock.timers.tick(NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000 - 10 * 60 * 1000);
+      assert.ok(await purgeExpiredNotifications() >= 1);
+      assert.deepEqual((await list(userId)).map(notification => notification.id), [group.id]);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+// The scheduled post publisher, on the in-memory driver
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../data');
+const { publishDuePosts } = require('../services/scheduledPosts');
+
+describe('scheduled posts', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    await db.connectDatabase();
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('announces the other due posts when one announcement fails', async () => {
+    const publishAt = new Date(Date.now() - 60 * 1000);
+    const failing = await db.posts.create({ userId: 1, content: 'First due', status: 'scheduled', publishAt });
+    const announced = await db.posts.create({ userId: 1, content: 'Second due', status: 'scheduled', publishAt });
+    const later = await db.posts.create({ userId: 1, content: 'Not yet', status: 'scheduled', publishAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    const seen = [];
+    const count = await publishDuePosts(async (post) => {
+      seen.push(post.id);
+      if (post.id === failing.id) {
+        throw new Error('Redis is down');
+      }
+    });
+
+    assert.equal(count, 2);
+    assert.deepEqual(seen, [failing.id, announced.id]);
+    assert.equal((await db.posts.findById(announced.id)).status, 'published');
+    assert.equal((await db.posts.findById(later.id, { includeUnpublished: true })).status, 'scheduled');
+    assert.equal(await publishDuePosts(async () => {}), 0);
+  });
+});
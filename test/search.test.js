@@ -0,0 +1,46 @@
+// Search ranking, on the in-memory driver
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../data');
+const { indexPost, indexUser, rankDocuments } = require('../services/search');
+
+describe('search ranking', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await db.connectDatabase();
+
+    // Shorter posts score higher for the same term
+    for (let i = 1; i <= 6; i++) {
+      await indexPost({ id: 9000 + i, content: `nebula ${'filler '.repeat(i)}` });
+    }
+    await indexUser({ id: 9100, name: 'Nebula Fan', handle: 'nebulafan' });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('ranks only the best candidates, in the same order as a full ranking', async () => {
+    const all = await rankDocuments('nebula');
+    const best = await rankDocuments('nebula', { limit: 3 });
+
+    assert.equal(all.length, 7);
+    assert.deepEqual(best, all.slice(0, 3));
+    assert.deepEqual(best.map(doc => doc.id), ['9100', '9001', '9002']);
+  });
+
+  it('keeps scores the same whatever the type filter', async () => {
+    const all = await rankDocuments('nebula');
+    const posts = await rankDocuments('nebula', { types: ['posts'], limit: 2 });
+
+    assert.deepEqual(posts.map(doc => doc.type), ['post', 'post']);
+    assert.deepEqual(posts, all.filter(doc => doc.type === 'post').slice(0, 2));
+  });
+
+  it('returns nothing for a query without terms', async () => {
+    assert.deepEqual(await rankDocuments('  !! '), []);
+  });
+});
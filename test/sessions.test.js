@@ -0,0 +1,95 @@
+// Sessions: refresh token rotation and reuse detection, and logging out,
+// over HTTP on the in-memory drivers
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../data');
+const authRouter = require('../routes/auth');
+
+let server;
+let baseUrl;
+
+const call = async (method, path, { body, token } = {}) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Every test works on its own account
+let nextAccount = 1;
+const register = async (password = 'first-password-1') => {
+  const email = `account${nextAccount++}@example.com`;
+  const response = await call('POST', '/register', { body: { email, password, name: 'Test Account' } });
+  assert.equal(response.status, 201);
+  return { email, password, ...response.body };
+};
+
+const login = (email, password) => call('POST', '/login', { body: { email, password } });
+const refresh = (refreshToken) => call('POST', '/auth/refresh', { body: { refreshToken } });
+// Whether an access token is still accepted; logs its session out when it is
+const isUsable = async (token) => (await call('POST', '/auth/logout', { token, body: {} })).status === 200;
+
+describe('sessions', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    await db.connectDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use(authRouter);
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  describe('refresh tokens', () => {
+    it('rotates the refresh token on every use', async () => {
+      const account = await register();
+      const first = await refresh(account.refreshToken);
+      assert.equal(first.status, 200);
+      assert.notEqual(first.body.refreshToken, account.refreshToken);
+
+      const second = await refresh(first.body.refreshToken);
+      assert.equal(second.status, 200);
+      assert.equal(await isUsable(second.body.token), true);
+    });
+
+    it('revokes the session when a rotated refresh token is used again', async () => {
+      const account = await register();
+      const rotated = await refresh(account.refreshToken);
+
+      // Someone replays the old token
+      assert.equal((await refresh(account.refreshToken)).status, 401);
+
+      assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+      assert.equal(await isUsable(rotated.body.token), false);
+      assert.equal(await isUsable(account.token), false);
+    });
+  });
+
+  describe('logging out', () => {
+    it('signs out every session with allSessions', async () => {
+      const account = await register();
+      const other = (await login(account.email, account.password)).body;
+
+      const response = await call('POST', '/auth/logout', { token: account.token, body: { allSessions: true } });
+      assert.equal(response.status, 200);
+
+      assert.equal(await isUsable(other.token), false);
+      assert.equal((await refresh(other.refreshToken)).status, 401);
+      assert.equal((await refresh(account.refreshToken)).status, 401);
+    });
+  });
+});
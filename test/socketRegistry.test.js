@@ -0,0 +1,52 @@
+// The socket registry: devices per user, online state and cleanup after
+// instances that stopped, on the in-memory Redis driver
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { client } = require('../services/redis');
+const {
+  registerUserSocket,
+  unregisterUserSocket,
+  getUserSockets,
+  isUserOnline,
+  removeStaleSockets
+} = require('../services/notifications');
+
+// Register a socket the way another instance would
+const registerOnInstance = async (instanceId, userId, socketId, { alive }) => {
+  await client.sadd('socket_instances', instanceId);
+  await client.sadd(`instance_sockets:${instanceId}`, `${userId}:${socketId}`);
+  await client.sadd(`user_sockets:${userId}`, socketId);
+  await client.sadd('online_users', userId);
+  if (alive) {
+    await client.set(`instance_heartbeat:${instanceId}`, '1', 'EX', 60);
+  }
+};
+
+describe('socket registry', () => {
+  it('keeps a user online until their last device disconnects', async () => {
+    assert.equal(await registerUserSocket(500, 'phone'), 1);
+    assert.equal(await registerUserSocket(500, 'laptop'), 2);
+
+    assert.equal(await unregisterUserSocket(500, 'phone'), 1);
+    assert.equal(await isUserOnline(500), true);
+    assert.equal(await unregisterUserSocket(500, 'laptop'), 0);
+    assert.equal(await isUserOnline(500), false);
+  });
+
+  it('removes the sockets of instances whose heartbeat expired', async () => {
+    await registerOnInstance('crashed', 501, 'lost', { alive: false });
+    await registerOnInstance('crashed', 502, 'lost-too', { alive: false });
+    await registerOnInstance('running', 502, 'kept', { alive: true });
+    await registerUserSocket(503, 'local');
+
+    assert.equal(await removeStaleSockets(), 2);
+    assert.equal(await isUserOnline(501), false);
+    assert.deepEqual(await getUserSockets(502), ['kept']);
+    assert.equal(await isUserOnline(502), true);
+    assert.equal(await isUserOnline(503), true);
+    assert.deepEqual(await client.smembers('socket_instances'), ['running']);
+    assert.equal(await removeStaleSockets(), 0);
+  });
+});
@@ -0,0 +1,80 @@
+// The verification review queue and approvals, over HTTP on the in-memory
+// drivers
+process.env.DB_DRIVER = 'memory';
+process.env.REDIS_DRIVER = 'memory';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../data');
+const authRouter = require('../routes/auth');
+const verificationRouter = require('../routes/verification');
+
+let server;
+let baseUrl;
+
+const call = async (method, path, { body, token } = {}) => {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = async (email) => (await call('POST', '/login', { body: { email, password: '123456' } })).body.token;
+
+const evidence = { fullName: 'Jane Public', category: 'music', links: ['https://example.com/jane'], notes: null };
+
+describe('verification', () => {
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    await db.connectDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use(authRouter);
+    app.use('/api/verification', verificationRouter);
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('pages through the review queue with cursors', async () => {
+    const admin = await login('admin@example.com');
+    const filed = [];
+    for (let i = 0; i < 3; i++) {
+      filed.push(await db.verificationRequests.create({ userId: 2, evidence }));
+    }
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await call('GET', `/api/verification/requests?limit=2${cursor ? `&cursor=${cursor}` : ''}`, { token: admin });
+      assert.equal(page.status, 200);
+      seen.push(...page.body.requests.map(request => request.id));
+      cursor = page.body.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, filed.map(request => request.id));
+    assert.equal((await call('GET', '/api/verification/requests?cursor=garbage', { token: admin })).status, 400);
+  });
+
+  it('refuses to approve a request from a user who is no longer public', async () => {
+    const admin = await login('admin@example.com');
+    const request = await db.verificationRequests.create({ userId: 2, evidence });
+    await db.users.updateType(2, 'moderator');
+
+    const approval = await call('POST', `/api/verification/requests/${request.id}/approve`, { token: admin, body: {} });
+    assert.equal(approval.status, 409);
+    assert.equal((await db.users.findById(2)).type, 'moderator');
+    assert.equal((await call('POST', `/api/verification/requests/${request.id}/reject`, { token: admin, body: {} })).status, 200);
+
+    await db.users.updateType(2, 'public');
+  });
+});